@@ -125,6 +125,8 @@ const TemplateConfig = {
         "unicode",
         "utf8",
         "utf16",
+        "apple",
+        "resource",
       ],
 
       // Allowed modifiers
@@ -149,6 +151,24 @@ const TemplateConfig = {
       allowComments: true,
     };
   },
+
+  /**
+   * Team defaults for the typemap linter
+   * Map a check id to "error", "warning", "info" or "off" to change its
+   * severity for everyone using this configuration. Users can still
+   * override these in the findings panel.
+   * Check ids: binary-art-lock, binary-keywords, text-lock,
+   * multiple-storage, conflicting-keywords, catch-all-not-first,
+   * broad-pattern, pattern-whitespace
+   * @returns {{severities: Object<string, string>}} Lint settings
+   */
+  getLintSettings() {
+    return {
+      severities: {
+        // "broad-pattern": "off",
+      },
+    };
+  },
 };
 
 // Export for use in other modules
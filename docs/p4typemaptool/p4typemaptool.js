@@ -8,6 +8,9 @@ let editingRow = null;
 let hasUnsavedChanges = false;
 let availableTemplates = [];
 
+// Server typemap as of the last load or save, the base for merges
+let serverSnapshotRules = [];
+
 // Column resizing state
 let isResizing = false;
 let currentColumn = -1;
@@ -40,6 +43,16 @@ const fileTypes = {
     label: "UTF-16 - Unicode 16 file",
     description: "Transferred as UTF-8, translated to UTF-16 in workspace",
   },
+  apple: {
+    label: "Apple - Multi-forked Mac file",
+    description:
+      "Data fork, resource fork and file type/creator stored in AppleSingle format",
+  },
+  resource: {
+    label: "Resource - Mac resource fork",
+    description:
+      "Only the resource fork is stored; obsolete, use apple instead",
+  },
 };
 
 const fileModifiers = {
@@ -144,6 +157,126 @@ function updateSaveButtonState() {
   });
 }
 
+// Undo/redo history
+// Each entry is a snapshot of the rules taken after a labelled edit;
+// historyIndex points at the entry matching the table.
+const HISTORY_LIMIT = 100;
+let historyEntries = [];
+let historyIndex = -1;
+
+function resetHistory(label) {
+  historyEntries = [];
+  historyIndex = -1;
+  recordHistory(label);
+}
+
+function recordHistory(label) {
+  const text = generateTypemapText();
+  const current = historyEntries[historyIndex];
+  if (current && current.text === text) return;
+
+  historyEntries = historyEntries.slice(0, historyIndex + 1);
+  historyEntries.push({
+    label,
+    text,
+    rules: P4Utils.deepClone(typemapRules),
+    time: new Date(),
+  });
+  if (historyEntries.length > HISTORY_LIMIT) {
+    historyEntries.shift();
+  }
+  historyIndex = historyEntries.length - 1;
+
+  updateHistoryControls();
+}
+
+function undo() {
+  cancelFileTypeEdit();
+  if (historyIndex > 0) {
+    jumpToHistory(historyIndex - 1);
+  }
+}
+
+function redo() {
+  cancelFileTypeEdit();
+  if (historyIndex < historyEntries.length - 1) {
+    jumpToHistory(historyIndex + 1);
+  }
+}
+
+function jumpToHistory(index) {
+  cancelFileTypeEdit();
+  const entry = historyEntries[index];
+  if (!entry) return;
+
+  historyIndex = index;
+  typemapRules = P4Utils.deepClone(entry.rules);
+
+  // Stepping back to what the server has is not an unsaved change
+  if (generateTypemapText() === generateTypemapText(serverSnapshotRules)) {
+    markAsSaved();
+  } else {
+    markAsChanged();
+  }
+
+  renderTable();
+  updateRuleCount();
+  updateHistoryControls();
+  updateStatus(`Restored: ${entry.label}`);
+}
+
+function updateHistoryControls() {
+  document.querySelectorAll('button[onclick="undo()"]').forEach((button) => {
+    const entry = historyEntries[historyIndex];
+    button.disabled = historyIndex <= 0;
+    button.title = button.disabled ? "Nothing to undo" : `Undo ${entry.label}`;
+  });
+  document.querySelectorAll('button[onclick="redo()"]').forEach((button) => {
+    const entry = historyEntries[historyIndex + 1];
+    button.disabled = !entry;
+    button.title = entry ? `Redo ${entry.label}` : "Nothing to redo";
+  });
+
+  renderHistoryPanel();
+}
+
+function toggleHistoryPanel() {
+  const panel = document.getElementById("historyPanel");
+  if (!panel) return;
+
+  panel.style.display = panel.style.display === "none" ? "block" : "none";
+  renderHistoryPanel();
+}
+
+function renderHistoryPanel() {
+  const panel = document.getElementById("historyPanel");
+  const list = document.getElementById("historyList");
+  if (!panel || !list || panel.style.display === "none") return;
+
+  // Newest first, entries past the current one can still be redone
+  list.innerHTML = historyEntries
+    .map((entry, index) => {
+      let className = "history-entry";
+      if (index === historyIndex) className += " current";
+      if (index > historyIndex) className += " undone";
+      return `
+        <li class="${className}" onclick="jumpToHistory(${index})">
+            <span class="history-label">${escapeHtml(entry.label)}</span>
+            <span class="history-time">${entry.time.toLocaleTimeString()}</span>
+        </li>`;
+    })
+    .reverse()
+    .join("");
+}
+
+// Label used in history entries for a rule or line
+function describeEntry(entry) {
+  if (!entry) return "rule";
+  if (entry.kind === "comment") return `comment line ${entry.order}`;
+  if (entry.kind === "blank") return `blank line ${entry.order}`;
+  return `rule ${entry.order}`;
+}
+
 // Load typemap from Perforce
 async function loadTypemap() {
   try {
@@ -153,13 +286,19 @@ async function loadTypemap() {
       throw new Error(result.error);
     }
 
+    await detectCaseHandling();
+
     // Parse the typemap data
     typemapRules = parseTypemapData(result.data);
+    serverSnapshotRules = P4Utils.deepClone(typemapRules);
+    recordSnapshot("load");
+    selectedRuleIds.clear();
     renderTable();
     updateRuleCount();
 
     // Reset change tracking after loading
     markAsSaved();
+    resetHistory("Load typemap from server");
 
     document.getElementById("loadingIndicator").style.display = "none";
     document.getElementById("typemapTable").style.display = "table";
@@ -169,6 +308,20 @@ async function loadTypemap() {
   }
 }
 
+// Match patterns the way the server does: "//....PSD" and "//....psd" are
+// the same files on a case-insensitive server
+async function detectCaseHandling() {
+  try {
+    const result = await p4vjs.p4(["info", "-s"]);
+    const info = result.data && result.data[0];
+    P4Wildcards.setCaseSensitive(
+      !info || !info.caseHandling || info.caseHandling === "sensitive"
+    );
+  } catch (error) {
+    console.warn("Could not read server case handling:", error);
+  }
+}
+
 // Parse typemap data from P4 result
 function parseTypemapData(data) {
   const rules = [];
@@ -192,16 +345,49 @@ function parseTypemapData(data) {
       }
     }
 
+    // Comments reported without a matching TypeMapN are standalone lines
+    for (const index in commentEntries) {
+      if (!typemapEntries.some((entry) => entry.index === Number(index))) {
+        typemapEntries.push({ index: Number(index), value: "" });
+      }
+    }
+
     // Sort by index to maintain order
     typemapEntries.sort((a, b) => a.index - b.index);
 
     // Parse each entry
     for (const entry of typemapEntries) {
-      const line = entry.value;
+      const line = entry.value || "";
       const trimmedLine = line.trim();
 
-      // Skip empty lines and pure comment lines
-      if (!trimmedLine || trimmedLine.startsWith("##")) {
+      // Keep comment-only and blank lines so they survive a save
+      if (!trimmedLine && commentEntries[entry.index]) {
+        const commentLine = commentEntries[entry.index].trim();
+        rules.push(
+          createLineEntry(
+            "comment",
+            order++,
+            commentLine.replace(/^##\s*/, ""),
+            commentLine
+          )
+        );
+        continue;
+      }
+
+      if (!trimmedLine) {
+        rules.push(createLineEntry("blank", order++));
+        continue;
+      }
+
+      if (trimmedLine.startsWith("##")) {
+        rules.push(
+          createLineEntry(
+            "comment",
+            order++,
+            trimmedLine.replace(/^##\s*/, ""),
+            trimmedLine
+          )
+        );
         continue;
       }
 
@@ -223,13 +409,17 @@ function parseTypemapData(data) {
       const parts = workingLine.split(/\s+/);
       if (parts.length >= 2) {
         const filetype = parts[0];
-        const pattern = parts.slice(1).join(" "); // In case pattern has spaces
+        // In case pattern has spaces; a leading "-" marks an exclusion
+        const { pattern, exclude } = parsePatternInput(
+          parts.slice(1).join(" ")
+        );
 
         rules.push({
           id: generateId(),
           order: order++,
           filetype: filetype,
           pattern: pattern,
+          exclude: exclude,
           comment: comment,
           originalLine: line,
         });
@@ -245,40 +435,111 @@ function generateId() {
   return P4Utils.generateId("rule");
 }
 
+// Create a standalone comment or blank line entry
+// These live in typemapRules alongside the rules so they keep their position
+// in the execution order. originalLine is written back verbatim until the
+// comment is edited.
+function createLineEntry(kind, order, comment = "", originalLine = "") {
+  return {
+    id: generateId(),
+    order: order,
+    kind: kind,
+    filetype: "",
+    pattern: "",
+    exclude: false,
+    comment: comment,
+    originalLine: originalLine,
+  };
+}
+
+// Turn a line parsed by parseTemplateContent into an editor entry
+function createEntryFromParsed(entry, order) {
+  if (entry.kind) {
+    return createLineEntry(
+      entry.kind,
+      order,
+      entry.comment,
+      entry.originalLine || ""
+    );
+  }
+
+  return {
+    id: generateId(),
+    order,
+    filetype: entry.filetype,
+    pattern: entry.pattern,
+    exclude: !!entry.exclude,
+    comment: entry.comment || "",
+    originalLine: "",
+  };
+}
+
+// Check whether a typemap entry is a rule rather than a comment or blank line
+function isTypemapRule(entry) {
+  return !entry.kind || entry.kind === "rule";
+}
+
+// Split a typemap pattern into the depot path and its exclusion flag
+// Exclusionary lines ("-//depot/vendor/...") remove matching paths from the
+// mappings of earlier lines instead of assigning a filetype.
+function parsePatternInput(value) {
+  const trimmed = value.trim();
+  if (trimmed.startsWith("-")) {
+    return { pattern: trimmed.substring(1).trim(), exclude: true };
+  }
+  return { pattern: trimmed, exclude: false };
+}
+
+// Format a rule's pattern the way it appears in the typemap spec
+function formatRulePattern(rule) {
+  return `${rule.exclude ? "-" : ""}${rule.pattern}`;
+}
+
 // Render the table
 function renderTable() {
   const tbody = document.getElementById("typemapTableBody");
   tbody.innerHTML = "";
+  refreshConflictState();
 
+  populateFilterOptions();
   const rulesToShow = getSortedRules();
 
   rulesToShow.forEach((rule, index) => {
     const row = createTableRow(rule, index);
     tbody.appendChild(row);
   });
+  updateFilterSummary(rulesToShow);
+  updateRuleCount();
 
   // Update conflict detection
   detectAndShowConflicts();
+
+  updateSelectionBar();
+
+  // Keep path test results in step with the edited rules
+  updatePathTester();
+  renderLintPanel();
 }
 
 // Create a table row for a rule
 function createTableRow(rule, displayIndex) {
   const row = document.createElement("tr");
   row.setAttribute("data-rule-id", rule.id);
+  row.addEventListener("dragover", (e) => onRowDragOver(e, row));
+  row.addEventListener("dragleave", () => clearDropIndicator(row));
+  row.addEventListener("drop", (e) => onRowDrop(e, rule.id));
 
-  // Add warning class if there are conflicts
-  const conflicts = checkRuleConflicts(rule);
-  if (conflicts.length > 0) {
-    row.classList.add("has-conflict");
+  if (selectedRuleIds.has(rule.id)) {
+    row.classList.add("selected");
   }
 
   // Check if this is the first or last rule for button states (based on actual order, not display order)
-  const sortedByOrder = [...typemapRules].sort((a, b) => a.order - b.order);
+  const sortedByOrder = getRulesInExecutionOrder();
   const orderIndex = sortedByOrder.findIndex((r) => r.id === rule.id);
   const isFirst = orderIndex === 0;
   const isLast = orderIndex === sortedByOrder.length - 1;
 
-  row.innerHTML = `
+  const orderCell = `
         <td class="priority-cell">
             <div class="execution-order-controls">
                 <button onclick="moveRuleUp('${
@@ -286,48 +547,122 @@ function createTableRow(rule, displayIndex) {
                 }')" class="btn order-button" title="Move Up" ${
     isFirst ? "disabled" : ""
   }>↑</button>
-                <span>${rule.order}</span>
+                <span class="drag-handle" draggable="${
+                  currentSortBy === "order"
+                }" 
+                      onclick="onRowSelect(event, '${rule.id}')" 
+                      ondragstart="onRowDragStart(event, '${rule.id}')" 
+                      ondragend="onRowDragEnd()" 
+                      title="Click to select, Shift/Ctrl+click to extend, drag to move">${
+                        rule.order
+                      }</span>
                 <button onclick="moveRuleDown('${
                   rule.id
                 }')" class="btn order-button" title="Move Down" ${
     isLast ? "disabled" : ""
   }>↓</button>
             </div>
-        </td>
+        </td>`;
+
+  const deleteCell = `
+        <td class="actions-cell">
+            <button onclick="deleteRule('${
+              rule.id
+            }')" class="btn danger" title="Delete ${
+    isTypemapRule(rule) ? "Rule" : "Line"
+  }">🗑️</button>
+        </td>`;
+
+  // Standalone comment and blank lines span the rule columns
+  if (rule.kind === "comment") {
+    row.classList.add("comment-line");
+    row.innerHTML = `${orderCell}
+        <td colspan="3">
+            <div class="comment-line-content">
+                <span class="comment-marker">##</span>
+                <input type="text" class="pattern-input comment-line-input${filterHitClass(
+                  rule.comment
+                )}" value="${escapeHtml(rule.comment)}" 
+                       onchange="updateCommentLine('${rule.id}', this.value)" 
+                       placeholder="Section comment">
+            </div>
+        </td>${deleteCell}`;
+    return row;
+  }
+
+  if (rule.kind === "blank") {
+    row.classList.add("blank-line");
+    row.innerHTML = `${orderCell}
+        <td colspan="3" class="blank-line-cell">Blank line</td>${deleteCell}`;
+    return row;
+  }
+
+  const patternProblems = getPatternProblems(rule.pattern);
+
+  // Conflicts not worked out yet are filled in by detectAndShowConflicts
+  const conflicts = getKnownConflicts(rule);
+  if (conflicts.length > 0) {
+    row.classList.add("has-conflict");
+  }
+
+  if (rule.exclude) {
+    row.classList.add("exclusion-rule");
+  }
+
+  row.innerHTML = `${orderCell}
         <td class="file-type-cell">
             <div class="file-type-display" onclick="editFileType('${rule.id}')">
+                ${
+                  rule.exclude
+                    ? `<span class="exclusion-label" title="Matching paths are removed from earlier rules and get no typemap filetype">🚫 Exclusion</span>`
+                    : ""
+                }
                 <span class="type-label">${getFileTypeDescription(
                   rule.filetype
                 )}</span>
-                <code class="type-code">${rule.filetype}</code>
+                <code class="type-code">${highlightFilterText(
+                  rule.filetype
+                )}</code>
+                ${
+                  isCanonicalFileType(rule)
+                    ? ""
+                    : `<span class="noncanonical-type" title="Same filetype as ${escapeHtml(
+                        P4FileTypes.canonicalize(rule.filetype)
+                      )}, written differently">≈ ${escapeHtml(
+                        P4FileTypes.canonicalize(rule.filetype)
+                      )}</span>`
+                }
             </div>
             ${
               conflicts.length > 0
-                ? `<div class="conflict-warning">⚠️ ${conflicts.join(
-                    "; "
+                ? `<div class="conflict-warning">⚠️ ${escapeHtml(
+                    conflicts.join("; ")
                   )}</div>`
                 : ""
             }
         </td>
         <td>
-            <input type="text" class="pattern-input" value="${escapeHtml(
-              rule.pattern
-            )}" 
-                   onchange="updateRulePattern('${rule.id}', this.value)" 
-                   onblur="validatePattern('${rule.id}', this.value)">
+            <div class="pattern-field${
+              patternProblems.length > 0 ? " has-problems" : ""
+            }">
+                <input type="text" class="pattern-input${filterHitClass(
+                  formatRulePattern(rule)
+                )}" value="${escapeHtml(formatRulePattern(rule))}" 
+                       onchange="updateRulePattern('${rule.id}', this.value)" 
+                       oninput="validatePattern('${rule.id}', this.value)"
+                       onblur="validatePattern('${rule.id}', this.value)">
+                <span class="pattern-problem" title="${escapeHtml(
+                  patternProblems.join("\n")
+                )}">❗</span>
+            </div>
         </td>
         <td>
-            <input type="text" class="pattern-input" value="${escapeHtml(
-              rule.comment || ""
-            )}" 
+            <input type="text" class="pattern-input${filterHitClass(
+              rule.comment
+            )}" value="${escapeHtml(rule.comment || "")}" 
                    onchange="updateRuleComment('${rule.id}', this.value)" 
                    placeholder="Optional comment">
-        </td>
-        <td class="actions-cell">
-            <button onclick="deleteRule('${
-              rule.id
-            }')" class="btn danger" title="Delete Rule">🗑️</button>
-        </td>
+        </td>${deleteCell}
     `;
 
   return row;
@@ -335,36 +670,17 @@ function createTableRow(rule, displayIndex) {
 
 // Get human-readable description of file type with emojis and tooltips
 function getFileTypeDescription(filetype) {
-  const [baseType, modifierString] = filetype.split("+");
-
-  // Parse modifiers more carefully to handle multi-character ones like S10
-  const modifiers = [];
-  if (modifierString) {
-    let i = 0;
-    while (i < modifierString.length) {
-      // Check for multi-character modifiers first (S followed by digits)
-      if (
-        modifierString[i] === "S" &&
-        i + 1 < modifierString.length &&
-        /\d/.test(modifierString[i + 1])
-      ) {
-        let j = i + 1;
-        while (j < modifierString.length && /\d/.test(modifierString[j])) {
-          j++;
-        }
-        modifiers.push(modifierString.substring(i, j));
-        i = j;
-      } else {
-        modifiers.push(modifierString[i]);
-        i++;
-      }
-    }
-  }
+  const { base: baseType, modifiers, alias } = P4FileTypes.parse(filetype);
 
   let description = fileTypes[baseType]
     ? fileTypes[baseType].label.split(" - ")[1]
     : baseType;
 
+  // Partial filetypes only add modifiers to the type the server detects
+  if (!baseType) {
+    description = "Detected type";
+  }
+
   if (modifiers.length > 0) {
     const modifierEmojis = modifiers
       .map((mod) => {
@@ -405,6 +721,12 @@ function getFileTypeDescription(filetype) {
     description += ` ${modifierEmojis}`;
   }
 
+  if (alias) {
+    description += ` <span class="legacy-type" title="Legacy alias for ${escapeHtml(
+      P4FileTypes.canonicalize(filetype)
+    )}">legacy</span>`;
+  }
+
   return description;
 }
 
@@ -417,8 +739,11 @@ function escapeHtml(text) {
 function updateRulePattern(ruleId, newPattern) {
   const rule = typemapRules.find((r) => r.id === ruleId);
   if (rule) {
-    rule.pattern = newPattern;
+    const { pattern, exclude } = parsePatternInput(newPattern);
+    rule.pattern = pattern;
+    rule.exclude = exclude;
     markAsChanged();
+    recordHistory(`Change pattern of ${describeEntry(rule)}`);
     // Re-check conflicts when pattern changes
     setTimeout(() => renderTable(), 100);
   }
@@ -430,26 +755,59 @@ function updateRuleComment(ruleId, newComment) {
   if (rule) {
     rule.comment = newComment;
     markAsChanged();
+    recordHistory(`Change comment of ${describeEntry(rule)}`);
+  }
+}
+
+// Update a standalone comment line
+function updateCommentLine(ruleId, newComment) {
+  const entry = typemapRules.find((r) => r.id === ruleId);
+  if (entry) {
+    entry.comment = newComment.replace(/^##\s*/, "");
+    // Edited comments are regenerated instead of written back verbatim
+    entry.originalLine = "";
+    markAsChanged();
+    recordHistory(`Change ${describeEntry(entry)}`);
   }
 }
 
 // Validate pattern
-function validatePattern(ruleId, pattern) {
-  const warnings = [];
+function validatePattern(ruleId, value) {
+  const { pattern } = parsePatternInput(value);
+  const problems = getPatternProblems(pattern);
 
-  // Basic validations
-  if (!pattern.startsWith("//")) {
-    warnings.push("Pattern should start with //");
+  // Update the row in place so typing is not interrupted by a re-render
+  const field = document.querySelector(
+    `[data-rule-id="${ruleId}"] .pattern-field`
+  );
+  if (field) {
+    field.classList.toggle("has-problems", problems.length > 0);
+    field.querySelector(".pattern-problem").title = problems.join("\n");
   }
+  updateProblemCount({ [ruleId]: pattern });
+}
 
-  if (!pattern.includes("...")) {
-    warnings.push("Pattern should include ... for wildcards");
-  }
+function getPatternProblems(pattern) {
+  return P4Utils.validateDepotPath(pattern);
+}
 
-  // Show warnings if any
-  if (warnings.length > 0) {
-    // You could add a validation warning display here
-    console.warn("Pattern validation warnings:", warnings);
+// typedPatterns maps rule ids to patterns still being typed, which are not
+// stored on the rule yet
+function getRulesWithProblems(typedPatterns = {}) {
+  return typemapRules.filter((rule) => {
+    if (!isTypemapRule(rule)) return false;
+    const pattern =
+      rule.id in typedPatterns ? typedPatterns[rule.id] : rule.pattern;
+    return getPatternProblems(pattern).length > 0;
+  });
+}
+
+// Filter the table down to the rules whose pattern has problems
+function showRulesWithProblems() {
+  const select = document.getElementById("filterConflict");
+  if (select) {
+    select.value = "problems";
+    renderTable();
   }
 }
 
@@ -460,11 +818,13 @@ function addNewRule() {
     order: typemapRules.length + 1,
     filetype: "binary",
     pattern: "//....",
+    exclude: false,
     originalLine: "",
   };
 
   typemapRules.push(newRule);
   markAsChanged();
+  recordHistory(`Add ${describeEntry(newRule)}`);
   renderTable();
   updateRuleCount();
 
@@ -478,12 +838,35 @@ function addNewRule() {
   }, 100);
 }
 
+// Add a standalone comment line, e.g. a section header
+function addNewComment() {
+  const newEntry = createLineEntry("comment", typemapRules.length + 1);
+
+  typemapRules.push(newEntry);
+  markAsChanged();
+  recordHistory(`Add ${describeEntry(newEntry)}`);
+  renderTable();
+  updateRuleCount();
+
+  setTimeout(() => {
+    const row = document.querySelector(`[data-rule-id="${newEntry.id}"]`);
+    if (row) {
+      row.scrollIntoView();
+      row.querySelector(".comment-line-input").focus();
+    }
+  }, 100);
+}
+
 // Delete rule
 function deleteRule(ruleId) {
-  if (confirm("Are you sure you want to delete this rule?")) {
+  const entry = typemapRules.find((r) => r.id === ruleId);
+  const what = entry && !isTypemapRule(entry) ? "line" : "rule";
+  if (confirm(`Are you sure you want to delete this ${what}?`)) {
+    const label = `Delete ${describeEntry(entry)}`;
     typemapRules = typemapRules.filter((r) => r.id !== ruleId);
     reorderRules();
     markAsChanged();
+    recordHistory(label);
     renderTable();
     updateRuleCount();
   }
@@ -506,6 +889,9 @@ function moveRuleUp(ruleId) {
     previousRule.order = tempOrder;
 
     markAsChanged();
+    recordHistory(
+      `Move ${describeEntry({ ...currentRule, order: tempOrder })} up`
+    );
     renderTable();
   }
 }
@@ -525,10 +911,221 @@ function moveRuleDown(ruleId) {
     nextRule.order = tempOrder;
 
     markAsChanged();
+    recordHistory(
+      `Move ${describeEntry({ ...currentRule, order: tempOrder })} down`
+    );
     renderTable();
   }
 }
 
+// Row selection and bulk moves
+// Selected ids survive re-renders; lastSelectedId anchors Shift+click ranges.
+let selectedRuleIds = new Set();
+let lastSelectedId = null;
+let draggedRuleIds = [];
+
+function onRowSelect(event, ruleId) {
+  const ordered = getRulesInExecutionOrder().map((r) => r.id);
+
+  if (event.shiftKey && lastSelectedId && ordered.includes(lastSelectedId)) {
+    const from = ordered.indexOf(lastSelectedId);
+    const to = ordered.indexOf(ruleId);
+    if (!(event.ctrlKey || event.metaKey)) {
+      selectedRuleIds.clear();
+    }
+    ordered
+      .slice(Math.min(from, to), Math.max(from, to) + 1)
+      .forEach((id) => selectedRuleIds.add(id));
+  } else if (event.ctrlKey || event.metaKey) {
+    if (selectedRuleIds.has(ruleId)) {
+      selectedRuleIds.delete(ruleId);
+    } else {
+      selectedRuleIds.add(ruleId);
+    }
+    lastSelectedId = ruleId;
+  } else {
+    const onlyThis = selectedRuleIds.size === 1 && selectedRuleIds.has(ruleId);
+    selectedRuleIds.clear();
+    if (!onlyThis) {
+      selectedRuleIds.add(ruleId);
+    }
+    lastSelectedId = ruleId;
+  }
+
+  refreshSelection();
+}
+
+function clearSelection() {
+  selectedRuleIds.clear();
+  lastSelectedId = null;
+  refreshSelection();
+}
+
+// Drop selected ids that no longer exist and restyle rows without a re-render
+function refreshSelection() {
+  const existing = new Set(typemapRules.map((r) => r.id));
+  selectedRuleIds = new Set(
+    [...selectedRuleIds].filter((id) => existing.has(id))
+  );
+
+  document.querySelectorAll("#typemapTableBody tr").forEach((row) => {
+    const id = row.getAttribute("data-rule-id");
+    row.classList.toggle("selected", selectedRuleIds.has(id));
+  });
+  updateSelectionBar();
+}
+
+function updateSelectionBar() {
+  const bar = document.getElementById("selectionBar");
+  if (!bar) return;
+
+  const count = [...selectedRuleIds].filter((id) =>
+    typemapRules.some((r) => r.id === id)
+  ).length;
+  bar.style.display = count > 0 ? "flex" : "none";
+  document.getElementById("selectionCount").textContent = `${count} line${
+    count === 1 ? "" : "s"
+  } selected`;
+}
+
+// Move entries as one block so that it starts at targetIndex (0-based) of
+// the remaining lines; relative order within the block is kept
+function moveEntries(ids, targetIndex, label) {
+  const moving = new Set(ids);
+  const ordered = getRulesInExecutionOrder();
+  const block = ordered.filter((r) => moving.has(r.id));
+  const rest = ordered.filter((r) => !moving.has(r.id));
+  if (block.length === 0) return;
+
+  const index = Math.max(0, Math.min(targetIndex, rest.length));
+  rest.splice(index, 0, ...block);
+
+  const changed = rest.some((rule, i) => rule.order !== i + 1);
+  rest.forEach((rule, i) => {
+    rule.order = i + 1;
+  });
+  reorderRules();
+  if (!changed) return;
+
+  markAsChanged();
+  recordHistory(label);
+  renderTable();
+}
+
+function getSelectedIdsInOrder() {
+  return getRulesInExecutionOrder()
+    .filter((r) => selectedRuleIds.has(r.id))
+    .map((r) => r.id);
+}
+
+function describeSelection(ids) {
+  return ids.length === 1
+    ? describeEntry(typemapRules.find((r) => r.id === ids[0]))
+    : `${ids.length} lines`;
+}
+
+function moveSelectionToTop() {
+  const ids = getSelectedIdsInOrder();
+  moveEntries(ids, 0, `Move ${describeSelection(ids)} to top`);
+}
+
+function moveSelectionToBottom() {
+  const ids = getSelectedIdsInOrder();
+  moveEntries(
+    ids,
+    typemapRules.length,
+    `Move ${describeSelection(ids)} to bottom`
+  );
+}
+
+function moveSelectionToPosition() {
+  const ids = getSelectedIdsInOrder();
+  if (ids.length === 0) return;
+
+  const maxPosition = typemapRules.length - ids.length + 1;
+  const input = prompt(
+    `Move ${describeSelection(ids)} to position (1-${maxPosition}):`,
+    "1"
+  );
+  if (input === null) return;
+
+  const position = parseInt(input, 10);
+  if (isNaN(position) || position < 1 || position > maxPosition) {
+    alert(`Please enter a position between 1 and ${maxPosition}.`);
+    return;
+  }
+
+  moveEntries(
+    ids,
+    position - 1,
+    `Move ${describeSelection(ids)} to position ${position}`
+  );
+}
+
+// Drag-and-drop reordering, only while the table shows execution order
+function onRowDragStart(event, ruleId) {
+  if (currentSortBy !== "order") {
+    event.preventDefault();
+    return;
+  }
+
+  // Dragging a selected row moves the whole selection
+  draggedRuleIds = selectedRuleIds.has(ruleId)
+    ? getSelectedIdsInOrder()
+    : [ruleId];
+  event.dataTransfer.effectAllowed = "move";
+  event.dataTransfer.setData("text/plain", draggedRuleIds.join(","));
+}
+
+function onRowDragEnd() {
+  draggedRuleIds = [];
+  document
+    .querySelectorAll(".drop-before, .drop-after")
+    .forEach((row) => clearDropIndicator(row));
+}
+
+function onRowDragOver(event, row) {
+  if (draggedRuleIds.length === 0) return;
+  event.preventDefault();
+  event.dataTransfer.dropEffect = "move";
+
+  const rect = row.getBoundingClientRect();
+  const after = event.clientY > rect.top + rect.height / 2;
+  row.classList.toggle("drop-after", after);
+  row.classList.toggle("drop-before", !after);
+}
+
+function clearDropIndicator(row) {
+  row.classList.remove("drop-before", "drop-after");
+}
+
+function onRowDrop(event, targetId) {
+  if (draggedRuleIds.length === 0) return;
+  event.preventDefault();
+
+  const row = event.currentTarget;
+  const after = row.classList.contains("drop-after");
+  clearDropIndicator(row);
+
+  const ids = draggedRuleIds;
+  draggedRuleIds = [];
+  if (ids.includes(targetId)) return;
+
+  // Position among the lines that stay put
+  const rest = getRulesInExecutionOrder().filter((r) => !ids.includes(r.id));
+  const targetIndex =
+    rest.findIndex((r) => r.id === targetId) + (after ? 1 : 0);
+  const target = typemapRules.find((r) => r.id === targetId);
+
+  moveEntries(
+    ids,
+    targetIndex,
+    `Move ${describeSelection(ids)} ${
+      after ? "after" : "before"
+    } ${describeEntry(target)}`
+  );
+}
+
 // Reorder rules to maintain sequential order numbers
 function reorderRules() {
   typemapRules.sort((a, b) => a.order - b.order);
@@ -559,40 +1156,27 @@ function editFileType(ruleId) {
   editor.id = `editor_${ruleId}`;
   editor.style.display = "block";
 
-  // Set current values
-  const [baseType, modifierString] = rule.filetype.split("+");
-
-  // Parse modifiers more carefully to handle S modifiers
-  const modifiers = [];
-  let sModifier = null;
-
-  if (modifierString) {
-    let i = 0;
-    while (i < modifierString.length) {
-      // Check for S modifier with optional number
-      if (modifierString[i] === "S") {
-        let j = i + 1;
-        while (j < modifierString.length && /\d/.test(modifierString[j])) {
-          j++;
-        }
-        sModifier = modifierString.substring(i, j);
-        i = j;
-      } else {
-        modifiers.push(modifierString[i]);
-        i++;
-      }
-    }
-  }
+  // Legacy aliases are edited, and saved, in their modern form
+  const { base: baseType, modifiers, alias } = P4FileTypes.parse(rule.filetype);
+  editor.querySelector("#legacyTypeNote").textContent = alias
+    ? `"${alias}" is a legacy alias for ${P4FileTypes.canonicalize(
+        rule.filetype
+      )} and will be saved in that form.`
+    : "";
+  const sModifier = modifiers.find((mod) => /^S\d*$/.test(mod));
 
   // Set depot path pattern
   editor.querySelector("#depotPathPattern").value = rule.pattern;
+  editor.querySelector("#excludePatternCheckbox").checked = !!rule.exclude;
 
   editor.querySelector("#baseFileType").value = baseType;
 
   // Set regular checkboxes
-  editor.querySelectorAll('input[type="checkbox"]').forEach((cb) => {
-    cb.checked = modifiers.includes(cb.value);
-  });
+  editor
+    .querySelectorAll('.modifier-category input[type="checkbox"]')
+    .forEach((cb) => {
+      cb.checked = modifiers.includes(cb.value);
+    });
 
   // Handle S modifier specially
   const sCheckbox = editor.querySelector("#sModifierCheckbox");
@@ -627,7 +1211,7 @@ function updateFileTypePreview() {
   // Get regular modifiers (exclude the S modifier checkbox)
   const modifiers = Array.from(
     editor.querySelectorAll(
-      'input[type="checkbox"]:checked:not(#sModifierCheckbox)'
+      '.modifier-category input[type="checkbox"]:checked:not(#sModifierCheckbox)'
     )
   ).map((cb) => cb.value);
 
@@ -643,13 +1227,14 @@ function updateFileTypePreview() {
     }
   }
 
-  const fullType =
-    modifiers.length > 0 ? `${baseType}+${modifiers.join("")}` : baseType;
+  const fullType = P4FileTypes.canonicalize(
+    P4FileTypes.format({ base: baseType, modifiers })
+  );
 
-  // Update preview
+  // Update preview; a partial filetype needs at least one modifier
   const preview = editor.querySelector("#resultingType");
   if (preview) {
-    preview.textContent = fullType;
+    preview.textContent = fullType || "(choose at least one modifier)";
   }
 
   // Update help text
@@ -657,6 +1242,9 @@ function updateFileTypePreview() {
   const typeInfo = fileTypes[baseType];
   if (helpText && typeInfo) {
     helpText.textContent = typeInfo.description;
+  } else if (helpText && !baseType) {
+    helpText.textContent =
+      "Partial filetype: the server detects the base type and adds these modifiers";
   }
 
   // Validate modifiers
@@ -671,37 +1259,70 @@ function updateFileTypePreview() {
       warningsDiv.innerHTML = "";
     }
   }
+
+  updateFileTypeSuggestion(editor, fullType);
 }
 
-// Validate file type modifiers
-function validateFileTypeModifiers(baseType, modifiers) {
-  const warnings = [];
+// Suggest a filetype for the edited pattern's extension, unless the editor
+// already has it or the rule is an exclusion
+function updateFileTypeSuggestion(editor, fullType) {
+  const suggestion = editor.querySelector("#fileTypeSuggestion");
+  if (!suggestion) return;
 
-  // RCS keywords only make sense for text files
+  const { pattern } = parsePatternInput(
+    editor.querySelector("#depotPathPattern").value
+  );
+  const recommendation = P4ExtensionTypes.recommendForPattern(pattern);
   if (
-    baseType === "binary" &&
-    (modifiers.includes("k") || modifiers.includes("ko"))
+    !recommendation ||
+    editor.querySelector("#excludePatternCheckbox").checked ||
+    P4FileTypes.areEquivalent(fullType, recommendation.filetype)
   ) {
-    warnings.push("RCS keywords (+k) have no effect on binary files");
+    suggestion.style.display = "none";
+    return;
   }
 
-  // Exclusive lock warning for text files
-  if (baseType === "text" && modifiers.includes("l")) {
-    warnings.push("Exclusive lock (+l) is typically used for binary files");
-  }
+  suggestion.querySelector(".suggestion-text").innerHTML = `💡 Recommended for
+    .${escapeHtml(recommendation.extension)} (${escapeHtml(
+    recommendation.category
+  )}): <code>${escapeHtml(recommendation.filetype)}</code> - ${escapeHtml(
+    recommendation.reason
+  )}`;
+  suggestion.dataset.filetype = recommendation.filetype;
+  suggestion.style.display = "flex";
+}
 
-  // Storage modifiers are mutually exclusive
-  const storageModifiers = modifiers.filter((m) => ["C", "D", "F"].includes(m));
-  if (storageModifiers.length > 1) {
-    warnings.push("Only one storage modifier (+C, +D, +F) should be used");
-  }
+// Set the editor's base type and modifiers to the suggested filetype
+function applyFileTypeSuggestion() {
+  if (!editingRow) return;
 
-  // Keywords are mutually exclusive
-  if (modifiers.includes("k") && modifiers.includes("ko")) {
-    warnings.push("Cannot use both +k and +ko modifiers");
-  }
+  const editor = document.getElementById(`editor_${editingRow}`);
+  if (!editor) return;
+
+  const { base, modifiers } = P4FileTypes.parse(
+    editor.querySelector("#fileTypeSuggestion").dataset.filetype
+  );
+  editor.querySelector("#baseFileType").value = base;
+  editor
+    .querySelectorAll('.modifier-category input[type="checkbox"]')
+    .forEach((cb) => {
+      cb.checked = modifiers.includes(cb.value);
+    });
+
+  const sModifier = modifiers.find((mod) => /^S\d*$/.test(mod));
+  editor.querySelector("#sModifierCheckbox").checked = !!sModifier;
+  editor.querySelector("#sModifierValue").value =
+    sModifier && sModifier !== "S" ? sModifier.substring(1) : "";
+
+  updateFileTypePreview();
+}
 
-  return warnings;
+// Validate file type modifiers
+// Runs the linter's filetype checks, whatever severity they are set to
+function validateFileTypeModifiers(baseType, modifiers) {
+  return LINT_CHECKS.filter((check) => check.checkFileType)
+    .map((check) => check.checkFileType(baseType, modifiers))
+    .filter(Boolean);
 }
 
 // Update depot path pattern from modal
@@ -714,14 +1335,23 @@ function updateDepotPathPattern() {
   const depotPathInput = editor.querySelector("#depotPathPattern");
   if (!depotPathInput) return;
 
-  const newPattern = depotPathInput.value.trim();
+  const { pattern, exclude } = parsePatternInput(depotPathInput.value);
+
+  // A typed leading "-" is moved into the exclusion checkbox
+  const excludeCheckbox = editor.querySelector("#excludePatternCheckbox");
+  if (exclude) {
+    depotPathInput.value = pattern;
+    excludeCheckbox.checked = true;
+  }
 
   // Update the rule immediately
   const rule = typemapRules.find((r) => r.id === editingRow);
   if (rule) {
-    rule.pattern = newPattern;
+    rule.pattern = pattern;
+    rule.exclude = excludeCheckbox.checked;
     markAsChanged();
   }
+  updateFileTypePreview();
 }
 
 // Validate depot path pattern
@@ -736,7 +1366,7 @@ function validateDepotPathPattern() {
 
   if (!depotPathInput || !warningsDiv) return;
 
-  const pattern = depotPathInput.value.trim();
+  const { pattern } = parsePatternInput(depotPathInput.value);
   const warnings = [];
 
   // Basic validations
@@ -776,25 +1406,504 @@ function validateDepotPathPattern() {
   } else {
     warningsDiv.innerHTML = "";
   }
+
+  // The suggested filetype depends on the pattern's extension
+  updateFileTypePreview();
 }
 
-// Apply file type edit
-function applyFileTypeEdit() {
+// Depot impact preview limits
+const IMPACT_FILE_LIMIT = 10000;
+const IMPACT_SAMPLE_SIZE = 25;
+
+// List existing depot files matching the edited pattern and compare their
+// head types against the file type being edited
+async function checkDepotImpact() {
   if (!editingRow) return;
 
-  const editor = document.getElementById(`editor_${editingRow}`);
+  const ruleId = editingRow;
+  const editor = document.getElementById(`editor_${ruleId}`);
   if (!editor) return;
 
-  const baseType = editor.querySelector("#baseFileType").value;
+  const { pattern } = parsePatternInput(
+    editor.querySelector("#depotPathPattern").value
+  );
+  const filetype = editor.querySelector("#resultingType").textContent.trim();
+  const exclude = editor.querySelector("#excludePatternCheckbox").checked;
+  const resultsDiv = editor.querySelector("#depotImpactResults");
 
-  // Get the depot path pattern
-  const depotPathInput = editor.querySelector("#depotPathPattern");
-  const newPattern = depotPathInput ? depotPathInput.value.trim() : "";
+  if (!pattern) {
+    resultsDiv.textContent = "Enter a depot path pattern first";
+    return;
+  }
+
+  resultsDiv.textContent = `Checking depot files matching ${pattern}...`;
+
+  try {
+    const { files, truncated } = await fetchDepotFiles(
+      pattern,
+      IMPACT_FILE_LIMIT
+    );
+
+    // The editor may have been closed while the command was running
+    if (!document.getElementById(`editor_${ruleId}`)) return;
+
+    resultsDiv.innerHTML = renderDepotImpact(
+      ruleId,
+      pattern,
+      filetype,
+      exclude,
+      files,
+      truncated
+    );
+  } catch (error) {
+    resultsDiv.textContent = "Error checking depot impact: " + error.message;
+  }
+}
+
+// Fetch head revisions (excluding deleted files) matching a depot pattern
+// Returns {files, truncated}; truncated is based on the records the server
+// returned, since deleted heads filtered out here still count to the limit
+async function fetchDepotFiles(pattern, limit) {
+  const result = await p4vjs.p4([
+    "fstat",
+    "-m",
+    String(limit),
+    "-T",
+    "depotFile,headType,headAction",
+    pattern,
+  ]);
+
+  if (result.error) {
+    // No matching files is not an error for our purposes
+    if (/no such file|no file\(s\)|not in client view/i.test(result.error)) {
+      return { files: [], truncated: false };
+    }
+    throw new Error(result.error);
+  }
+
+  // Purged and archived heads have no content left to type
+  const records = (result.data || []).filter((file) => file.depotFile);
+  const goneActions = ["delete", "move/delete", "purge", "archive"];
+  return {
+    files: records
+      .filter((file) => !goneActions.includes(file.headAction))
+      .map((file) => ({
+        depotFile: file.depotFile,
+        headType: file.headType || "",
+      })),
+    truncated: records.length >= limit,
+  };
+}
+
+// Storage footprint estimate
+// p4 sizes reports file sizes, not archive sizes, so compression is
+// approximated: already-compressed formats are counted at full size and
+// everything else at ASSUMED_COMPRESSION_RATIO.
+const STORAGE_REVISION_LIMIT = 50000;
+const ASSUMED_COMPRESSION_RATIO = 0.5;
+
+async function estimateStorageImpact() {
+  if (!editingRow) return;
+
+  const ruleId = editingRow;
+  const editor = document.getElementById(`editor_${ruleId}`);
+  if (!editor) return;
+
+  const { pattern } = parsePatternInput(
+    editor.querySelector("#depotPathPattern").value
+  );
+  const proposedType = editor
+    .querySelector("#resultingType")
+    .textContent.trim();
+  const resultsDiv = editor.querySelector("#storageEstimateResults");
+
+  if (!pattern) {
+    resultsDiv.textContent = "Enter a depot path pattern first";
+    return;
+  }
+  if (editor.querySelector("#excludePatternCheckbox").checked) {
+    resultsDiv.textContent =
+      "Exclusions assign no filetype, so storage does not change";
+    return;
+  }
+
+  resultsDiv.textContent = `Measuring revisions of ${pattern}...`;
+
+  try {
+    const revisions = await fetchRevisionSizes(pattern);
+    const headTypes = await fetchHeadTypes(pattern);
+
+    // The editor may have been closed while the command was running
+    if (!document.getElementById(`editor_${ruleId}`)) return;
+
+    resultsDiv.innerHTML = renderStorageEstimate(
+      pattern,
+      revisions.map((revision) => ({
+        ...revision,
+        headType: headTypes.get(revision.depotFile) || "",
+      })),
+      proposedType
+    );
+  } catch (error) {
+    resultsDiv.textContent = "Error estimating storage: " + error.message;
+  }
+}
+
+// Size of every stored revision matching a pattern, skipping lazy copies
+// because they share the archive of the file they were branched from
+async function fetchRevisionSizes(pattern) {
+  const result = await p4vjs.p4([
+    "sizes",
+    "-a",
+    "-z",
+    "-m",
+    String(STORAGE_REVISION_LIMIT),
+    pattern,
+  ]);
+
+  if (result.error) {
+    if (/no such file|no file\(s\)|not in client view/i.test(result.error)) {
+      return [];
+    }
+    throw new Error(result.error);
+  }
+
+  return (result.data || [])
+    .filter((entry) => entry.depotFile)
+    .map((entry) => ({
+      depotFile: entry.depotFile,
+      rev: parseInt(entry.rev, 10) || 0,
+      fileSize: parseInt(entry.fileSize, 10) || 0,
+    }));
+}
+
+// Head type of every file matching a pattern, deleted files included since
+// their revisions still take up space
+async function fetchHeadTypes(pattern) {
+  const result = await p4vjs.p4([
+    "fstat",
+    "-m",
+    String(STORAGE_REVISION_LIMIT),
+    "-T",
+    "depotFile,headType",
+    pattern,
+  ]);
+
+  if (result.error) {
+    if (/no such file|no file\(s\)|not in client view/i.test(result.error)) {
+      return new Map();
+    }
+    throw new Error(result.error);
+  }
+
+  return new Map(
+    (result.data || [])
+      .filter((file) => file.depotFile && file.headType)
+      .map((file) => [file.depotFile, file.headType])
+  );
+}
+
+// Estimate the archive size of the revisions if they had been stored with
+// the given filetype
+function estimateStorage(revisions, filetype) {
+  const { base, modifiers } = P4FileTypes.parse(filetype);
+  const sModifier = modifiers.find((mod) => /^S\d*$/.test(mod));
+  const keep = sModifier ? parseInt(sModifier.substring(1), 10) || 1 : null;
+
+  // Without an explicit storage modifier, binary and utf16 types are stored
+  // as compressed full files and other text types as compressed deltas
+  let storage = modifiers.find((mod) => ["C", "D", "F"].includes(mod));
+  if (!storage) {
+    storage = ["binary", "apple", "resource", "utf16"].includes(base)
+      ? "C"
+      : "D";
+  }
+
+  // +S<n> purges all but the newest n revisions of each file
+  const byFile = new Map();
+  revisions.forEach((revision) => {
+    if (!byFile.has(revision.depotFile)) byFile.set(revision.depotFile, []);
+    byFile.get(revision.depotFile).push(revision);
+  });
+
+  let bytes = 0;
+  let kept = 0;
+  byFile.forEach((fileRevisions, depotFile) => {
+    const stored = keep
+      ? [...fileRevisions].sort((a, b) => b.rev - a.rev).slice(0, keep)
+      : fileRevisions;
+    // Formats the knowledge base stores with +F are already compressed
+    const recommendation = P4ExtensionTypes.recommendForPattern(depotFile);
+    const compressible =
+      storage !== "F" &&
+      !(
+        recommendation &&
+        P4FileTypes.parse(recommendation.filetype).modifiers.includes("F")
+      );
+    const ratio = compressible ? ASSUMED_COMPRESSION_RATIO : 1;
+
+    stored.forEach((revision) => {
+      bytes += revision.fileSize * ratio;
+    });
+    kept += stored.length;
+  });
+
+  return { bytes: Math.round(bytes), revisions: kept, storage, keep };
+}
+
+function describeStorage(estimate) {
+  const labels = {
+    C: "compressed full files",
+    D: "deltas",
+    F: "uncompressed full files",
+  };
+  return `${labels[estimate.storage]}, ${
+    estimate.keep
+      ? `newest ${estimate.keep} revision(s) per file`
+      : "all revisions"
+  }`;
+}
+
+// The current footprint uses each file's actual head type, so rules that
+// are new or not saved yet are compared against what is really stored
+function renderStorageEstimate(pattern, revisions, proposedType) {
+  if (revisions.length === 0) {
+    return `<div>No stored revisions match <code>${escapeHtml(
+      pattern
+    )}</code>.</div>`;
+  }
+
+  const files = new Set(revisions.map((revision) => revision.depotFile));
+  const totalSize = revisions.reduce((sum, r) => sum + r.fileSize, 0);
+  const limitReached = revisions.length >= STORAGE_REVISION_LIMIT;
+
+  // Revisions of files whose head type is unknown cannot be compared
+  const typed = revisions.filter((revision) => revision.headType);
+  const untypedFiles = new Set(
+    revisions.filter((r) => !r.headType).map((r) => r.depotFile)
+  );
+
+  const byHeadType = new Map();
+  typed.forEach((revision) => {
+    const key = P4FileTypes.canonicalize(revision.headType);
+    if (!byHeadType.has(key)) byHeadType.set(key, []);
+    byHeadType.get(key).push(revision);
+  });
+  const current = [...byHeadType.entries()]
+    .map(([filetype, group]) => ({
+      filetype,
+      files: new Set(group.map((revision) => revision.depotFile)).size,
+      estimate: estimateStorage(group, filetype),
+    }))
+    .sort((a, b) => b.estimate.bytes - a.estimate.bytes);
+  const currentBytes = current.reduce((sum, c) => sum + c.estimate.bytes, 0);
+  const currentRevisions = current.reduce(
+    (sum, c) => sum + c.estimate.revisions,
+    0
+  );
+
+  const proposed = estimateStorage(typed, proposedType);
+  const difference = proposed.bytes - currentBytes;
+
+  // Deltas are usually much smaller than full files, so their estimate is
+  // an upper bound
+  const prefix = (estimate) => (estimate.storage === "D" ? "up to " : "");
+
+  const currentRows = current
+    .map(
+      ({ filetype, files: fileCount, estimate }) => `
+            <tr>
+                <td><code>${escapeHtml(
+                  filetype
+                )}</code> (current, ${fileCount.toLocaleString()} file${
+        fileCount !== 1 ? "s" : ""
+      })</td>
+                <td>${describeStorage(estimate)}</td>
+                <td>${estimate.revisions.toLocaleString()}</td>
+                <td>${prefix(estimate)}${P4Utils.formatFileSize(
+        estimate.bytes
+      )}</td>
+            </tr>`
+    )
+    .join("");
+  const currentTotalRow =
+    current.length > 1
+      ? `
+            <tr>
+                <td>Current total</td>
+                <td></td>
+                <td>${currentRevisions.toLocaleString()}</td>
+                <td>${P4Utils.formatFileSize(currentBytes)}</td>
+            </tr>`
+      : "";
+
+  return `
+    <div><strong>${files.size.toLocaleString()}</strong> file(s) with
+    <strong>${revisions.length.toLocaleString()}${
+    limitReached ? "+" : ""
+  }</strong> stored revision(s), ${P4Utils.formatFileSize(
+    totalSize
+  )} of file content${
+    limitReached
+      ? ` (only the first ${STORAGE_REVISION_LIMIT.toLocaleString()} revisions were measured)`
+      : ""
+  }.</div>
+    ${
+      untypedFiles.size > 0
+        ? `<div>${untypedFiles.size.toLocaleString()} file(s) with an unknown head type are left out of the comparison.</div>`
+        : ""
+    }
+    <table class="impact-sample">
+        <thead>
+            <tr><th>Filetype</th><th>Stored as</th><th>Revisions</th><th>Estimated size</th></tr>
+        </thead>
+        <tbody>${currentRows}${currentTotalRow}
+            <tr>
+                <td><code>${escapeHtml(proposedType)}</code> (proposed)</td>
+                <td>${describeStorage(proposed)}</td>
+                <td>${proposed.revisions.toLocaleString()}</td>
+                <td>${prefix(proposed)}${P4Utils.formatFileSize(
+    proposed.bytes
+  )}</td>
+            </tr>
+        </tbody>
+    </table>
+    <div class="${difference > 0 ? "storage-increase" : ""}">
+        ${
+          difference === 0
+            ? "No change in estimated storage."
+            : `Estimated ${
+                difference > 0 ? "increase" : "saving"
+              }: ${P4Utils.formatFileSize(Math.abs(difference))}`
+        }
+    </div>
+    <div class="help-text">Sizes come from p4 sizes and assume
+    ${Math.round(
+      (1 - ASSUMED_COMPRESSION_RATIO) * 100
+    )}% compression for formats that are not already compressed. Current
+    sizes use each file's head type. The new filetype only applies to future
+    revisions; +S purges older revisions as new ones are submitted.</div>`;
+}
+
+function renderDepotImpact(
+  ruleId,
+  pattern,
+  filetype,
+  exclude,
+  files,
+  limitReached
+) {
+  if (files.length === 0) {
+    return `<div>No existing depot files match <code>${escapeHtml(
+      pattern
+    )}</code> - this rule only affects future adds.</div>`;
+  }
+
+  const countText = `${files.length.toLocaleString()}${
+    limitReached ? "+" : ""
+  }`;
+
+  // Only files whose last matching rule is this one get its type
+  const ownRule = typemapRules.find((r) => r.id === ruleId);
+  const findWinner = createRuleEvaluator();
+  const overridden = new Set(
+    files.filter((file) => {
+      const winner = findWinner(file.depotFile);
+      return winner && ownRule && winner.order > ownRule.order;
+    })
+  );
+  const affected = files.filter((file) => !overridden.has(file));
+
+  const mismatched = new Set(
+    exclude
+      ? []
+      : affected.filter(
+          (file) =>
+            !P4FileTypes.areEquivalent(
+              file.headType,
+              getRetypeTarget(filetype, file.headType)
+            )
+        )
+  );
+
+  const lines = [
+    `<div>Matches <strong>${countText}</strong> existing depot file${
+      files.length !== 1 ? "s" : ""
+    }${limitReached ? " (limit reached)" : ""}.</div>`,
+  ];
+
+  if (exclude) {
+    lines.push(
+      `<div>These files would no longer get a type from earlier rules.</div>`
+    );
+  } else {
+    lines.push(
+      `<div><strong>${mismatched.size.toLocaleString()}</strong> currently have a head type other than <code>${escapeHtml(
+        filetype
+      )}</code>. Existing revisions keep their type until retyped.</div>`
+    );
+  }
+
+  if (overridden.size > 0) {
+    lines.push(
+      `<div>${overridden.size.toLocaleString()} of them are matched by later rules, which take precedence, and are not counted above.</div>`
+    );
+  }
+
+  // Show mismatched files first since those are the ones left behind
+  const sample = [
+    ...mismatched,
+    ...affected.filter((file) => !mismatched.has(file)),
+  ].slice(0, IMPACT_SAMPLE_SIZE);
+
+  const sampleRows = sample
+    .map(
+      (file) => `<tr class="${mismatched.has(file) ? "impact-mismatch" : ""}">
+            <td><code>${escapeHtml(file.depotFile)}</code></td>
+            <td><code>${escapeHtml(file.headType)}</code></td>
+          </tr>`
+    )
+    .join("");
+
+  lines.push(`
+        <table class="impact-sample">
+            <thead><tr><th>Depot File</th><th>Head Type</th></tr></thead>
+            <tbody>${sampleRows}</tbody>
+        </table>
+        ${
+          affected.length > sample.length
+            ? `<div>Showing ${
+                sample.length
+              } of ${affected.length.toLocaleString()} files this rule applies to.</div>`
+            : ""
+        }
+    `);
+
+  return lines.join("");
+}
+
+// Apply file type edit
+function applyFileTypeEdit() {
+  if (!editingRow) return;
+
+  const editor = document.getElementById(`editor_${editingRow}`);
+  if (!editor) return;
+
+  const baseType = editor.querySelector("#baseFileType").value;
+
+  // Get the depot path pattern
+  const depotPathInput = editor.querySelector("#depotPathPattern");
+  const parsedPattern = parsePatternInput(
+    depotPathInput ? depotPathInput.value : ""
+  );
+  const newPattern = parsedPattern.pattern;
+  const excludeCheckbox = editor.querySelector("#excludePatternCheckbox");
+  const exclude = parsedPattern.exclude || excludeCheckbox.checked;
 
   // Get regular modifiers (exclude the S modifier checkbox)
   const modifiers = Array.from(
     editor.querySelectorAll(
-      'input[type="checkbox"]:checked:not(#sModifierCheckbox)'
+      '.modifier-category input[type="checkbox"]:checked:not(#sModifierCheckbox)'
     )
   ).map((cb) => cb.value);
 
@@ -810,8 +1919,14 @@ function applyFileTypeEdit() {
     }
   }
 
-  const fullType =
-    modifiers.length > 0 ? `${baseType}+${modifiers.join("")}` : baseType;
+  const fullType = P4FileTypes.canonicalize(
+    P4FileTypes.format({ base: baseType, modifiers })
+  );
+
+  if (!fullType) {
+    alert("A partial filetype needs at least one modifier.");
+    return;
+  }
 
   // Update the rule
   const rule = typemapRules.find((r) => r.id === editingRow);
@@ -820,6 +1935,7 @@ function applyFileTypeEdit() {
     if (newPattern) {
       rule.pattern = newPattern;
     }
+    rule.exclude = exclude;
     markAsChanged();
   }
 
@@ -830,6 +1946,11 @@ function applyFileTypeEdit() {
 // Cancel file type edit
 function cancelFileTypeEdit() {
   if (editingRow) {
+    // Pattern changes apply while the editor is open, so the whole edit is
+    // recorded once it closes
+    const rule = typemapRules.find((r) => r.id === editingRow);
+    recordHistory(`Edit ${describeEntry(rule)}`);
+
     const editor = document.getElementById(`editor_${editingRow}`);
     if (editor) {
       editor.remove();
@@ -848,48 +1969,370 @@ function cancelFileTypeEdit() {
   }
 }
 
+// Bulk edit of the selected rules' filetypes
+function openBulkEdit() {
+  const rules = getSelectedIdsInOrder()
+    .map((id) => typemapRules.find((r) => r.id === id))
+    .filter(isTypemapRule);
+  if (rules.length === 0) {
+    alert("Select one or more rules to edit first.");
+    return;
+  }
+
+  closeBulkEdit();
+  const template = document.getElementById("bulkEditModalTemplate");
+  const modal = template.cloneNode(true);
+  modal.id = "bulkEditModal";
+  modal.style.display = "block";
+
+  modal.querySelector("#bulkBaseType").innerHTML =
+    `<option value="">Keep current</option>` +
+    Object.entries(fileTypes)
+      .map(
+        ([type, info]) =>
+          `<option value="${type}">${escapeHtml(info.label)}</option>`
+      )
+      .join("");
+
+  // S is handled separately because it takes a revision count
+  modal.querySelector("#bulkModifiers").innerHTML = Object.entries(
+    fileModifiers
+  )
+    .filter(([mod]) => mod !== "S")
+    .map(
+      ([mod, info]) => `
+        <label class="bulk-modifier" title="${escapeHtml(info.description)}">
+            <select data-modifier="${mod}" onchange="updateBulkEditPreview()">
+                <option value="">Keep</option>
+                <option value="add">Add</option>
+                <option value="remove">Remove</option>
+            </select>
+            ${info.emoji} +${mod} ${escapeHtml(info.label)}
+        </label>`
+    )
+    .join("");
+
+  document.body.appendChild(modal);
+  updateBulkEditPreview();
+}
+
+function closeBulkEdit() {
+  const modal = document.getElementById("bulkEditModal");
+  if (modal) {
+    modal.remove();
+  }
+}
+
+// Read the requested changes from the bulk edit dialog
+function getBulkEditChanges() {
+  const modal = document.getElementById("bulkEditModal");
+  if (!modal) return null;
+
+  const modifierActions = {};
+  modal.querySelectorAll("#bulkModifiers select").forEach((select) => {
+    if (select.value) {
+      modifierActions[select.getAttribute("data-modifier")] = select.value;
+    }
+  });
+
+  return {
+    baseType: modal.querySelector("#bulkBaseType").value,
+    modifierActions,
+    sAction: modal.querySelector("#bulkSAction").value,
+    sCount: modal.querySelector("#bulkSCount").value.trim(),
+  };
+}
+
+// Work out a rule's filetype after the bulk changes
+function applyBulkChanges(filetype, changes) {
+  const { base, modifiers } = P4FileTypes.parse(filetype);
+  let result = modifiers.filter(
+    (mod) => changes.modifierActions[mod] !== "remove"
+  );
+
+  Object.entries(changes.modifierActions).forEach(([mod, action]) => {
+    if (action === "add" && !result.includes(mod)) {
+      result.push(mod);
+    }
+  });
+
+  if (changes.sAction) {
+    result = result.filter((mod) => !/^S\d*$/.test(mod));
+    if (changes.sAction === "set") {
+      const count = parseInt(changes.sCount, 10);
+      result.push(count > 1 ? `S${count}` : "S");
+    }
+  }
+
+  const newType = P4FileTypes.canonicalize(
+    P4FileTypes.format({ base: changes.baseType || base, modifiers: result })
+  );
+
+  // Leave the rule's spelling alone unless the change actually affects it
+  return P4FileTypes.areEquivalent(newType, filetype) ? filetype : newType;
+}
+
+function updateBulkEditPreview() {
+  const modal = document.getElementById("bulkEditModal");
+  const changes = getBulkEditChanges();
+  if (!modal || !changes) return;
+
+  modal.querySelector("#bulkSCount").disabled = changes.sAction !== "set";
+
+  const rules = getSelectedIdsInOrder()
+    .map((id) => typemapRules.find((r) => r.id === id))
+    .filter(isTypemapRule);
+  const changed = rules.filter(
+    (rule) => applyBulkChanges(rule.filetype, changes) !== rule.filetype
+  ).length;
+
+  modal.querySelector(
+    "#bulkEditSummary"
+  ).textContent = `${rules.length} rule(s) selected, ${changed} will change.`;
+
+  modal.querySelector("#bulkEditPreview").innerHTML = `
+    <table class="typemap-table">
+        <thead>
+            <tr><th>Order</th><th>Pattern</th><th>Filetype</th></tr>
+        </thead>
+        <tbody>
+            ${rules
+              .map((rule) => {
+                const newType = applyBulkChanges(rule.filetype, changes);
+                const { base, modifiers } = P4FileTypes.parse(newType);
+                const warnings = validateFileTypeModifiers(base, modifiers);
+                return `
+                <tr class="${newType !== rule.filetype ? "bulk-changed" : ""}">
+                    <td>${rule.order}</td>
+                    <td><code>${escapeHtml(formatRulePattern(rule))}</code></td>
+                    <td>
+                        <code>${escapeHtml(rule.filetype)}</code>
+                        ${
+                          newType !== rule.filetype
+                            ? ` → <code>${escapeHtml(newType)}</code>`
+                            : ""
+                        }
+                        ${warnings
+                          .map(
+                            (w) =>
+                              `<div class="validation-warning">⚠️ ${escapeHtml(
+                                w
+                              )}</div>`
+                          )
+                          .join("")}
+                    </td>
+                </tr>`;
+              })
+              .join("")}
+        </tbody>
+    </table>`;
+}
+
+function applyBulkEdit() {
+  const changes = getBulkEditChanges();
+  if (!changes) return;
+
+  if (changes.sAction === "set") {
+    const count = parseInt(changes.sCount, 10);
+    if (isNaN(count) || count < 1) {
+      alert("Please enter a revision count of 1 or more for +S.");
+      return;
+    }
+  }
+
+  let changed = 0;
+  getSelectedIdsInOrder()
+    .map((id) => typemapRules.find((r) => r.id === id))
+    .filter(isTypemapRule)
+    .forEach((rule) => {
+      const newType = applyBulkChanges(rule.filetype, changes);
+      if (newType !== rule.filetype) {
+        rule.filetype = newType;
+        changed++;
+      }
+    });
+
+  closeBulkEdit();
+  if (changed === 0) return;
+
+  markAsChanged();
+  recordHistory(`Bulk edit ${changed} rule${changed === 1 ? "" : "s"}`);
+  renderTable();
+  updateStatus(`Updated the filetype of ${changed} rule(s)`);
+}
+
+// Check whether a rule's filetype is already written in canonical form
+function isCanonicalFileType(rule) {
+  return P4FileTypes.canonicalize(rule.filetype) === rule.filetype;
+}
+
+function getNonCanonicalRules() {
+  return typemapRules.filter(
+    (rule) => isTypemapRule(rule) && !isCanonicalFileType(rule)
+  );
+}
+
+// Rewrite every filetype in canonical form, e.g. "binary+wl" as "binary+lw"
+function normalizeAllFileTypes() {
+  const rules = getNonCanonicalRules();
+  if (rules.length === 0) {
+    updateStatus("All filetypes are already in canonical form");
+    return;
+  }
+
+  rules.forEach((rule) => {
+    rule.filetype = P4FileTypes.canonicalize(rule.filetype);
+  });
+
+  markAsChanged();
+  recordHistory(
+    `Normalize ${rules.length} filetype${rules.length === 1 ? "" : "s"}`
+  );
+  renderTable();
+  updateStatus(`Normalized the filetype of ${rules.length} rule(s)`);
+}
+
+// Conflict warnings compare every rule with all later rules, which is slow
+// for large typemaps, so results are cached until a pattern, filetype or the
+// order changes, and the table fills them in a chunk at a time
+const CONFLICT_CHUNK_SIZE = 10;
+let conflictState = { key: null, rules: [], byId: new Map(), timer: null };
+
+// Drop cached conflicts if the rules changed; called once per render since
+// the key covers every rule
+function refreshConflictState() {
+  const key = typemapRules
+    .map(
+      (r) =>
+        `${r.id}\u0000${r.order}\u0000${r.kind}\u0000${r.exclude}\u0000${r.pattern}\u0000${r.filetype}`
+    )
+    .concat(P4Wildcards.caseSensitive ? "case" : "nocase")
+    .join("\u0001");
+  if (conflictState.key !== key) {
+    clearTimeout(conflictState.timer);
+    conflictState = {
+      key,
+      rules: getRulesInExecutionOrder(),
+      byId: new Map(),
+      timer: null,
+    };
+  }
+}
+
+// Conflicts already worked out for a rule, without computing new ones
+function getKnownConflicts(rule) {
+  return conflictState.byId.get(rule.id) || [];
+}
+
 // Detect conflicts between rules
 function detectAndShowConflicts() {
-  // Clear existing conflict warnings
-  document.querySelectorAll(".conflict-warning").forEach((el) => el.remove());
+  const state = conflictState;
+  clearTimeout(state.timer);
 
-  // Check each rule against all later rules
-  for (let i = 0; i < typemapRules.length; i++) {
-    const conflicts = checkRuleConflicts(typemapRules[i]);
+  const pending = [];
+  state.rules.filter(isTypemapRule).forEach((rule) => {
+    if (state.byId.has(rule.id)) {
+      showRuleConflicts(rule, state.byId.get(rule.id));
+    } else {
+      pending.push(rule);
+    }
+  });
 
-    if (conflicts.length > 0) {
-      // Find the row and add conflict warning
-      const row = document.querySelector(
-        `[data-rule-id="${typemapRules[i].id}"]`
-      );
-      if (row) {
-        const cell = row.querySelector(".file-type-cell");
-        const warning = document.createElement("div");
-        warning.className = "conflict-warning";
-        warning.innerHTML = `⚠️ ${conflicts.join("; ")}`;
-        cell.appendChild(warning);
-      }
+  const processChunk = () => {
+    // Stop if the rules changed; the next render starts over
+    if (conflictState !== state) return;
+
+    pending.splice(0, CONFLICT_CHUNK_SIZE).forEach((rule) => {
+      const conflicts = findRuleConflicts(rule, state.rules);
+      state.byId.set(rule.id, conflicts);
+      showRuleConflicts(rule, conflicts);
+    });
+
+    if (pending.length > 0) {
+      state.timer = setTimeout(processChunk, 0);
     }
+  };
+  processChunk();
+}
+
+// Show or clear the conflict warning on a rule's row
+function showRuleConflicts(rule, conflicts) {
+  const row = document.querySelector(`[data-rule-id="${rule.id}"]`);
+  if (!row) return;
+
+  row.classList.toggle("has-conflict", conflicts.length > 0);
+  row.querySelectorAll(".conflict-warning").forEach((el) => el.remove());
+  if (conflicts.length > 0) {
+    const warning = document.createElement("div");
+    warning.className = "conflict-warning";
+    warning.textContent = `⚠️ ${conflicts.join("; ")}`;
+    row.querySelector(".file-type-cell").appendChild(warning);
   }
 }
 
-// Check conflicts for a specific rule
+// Check conflicts for a specific rule, using the state of the last render
 function checkRuleConflicts(rule) {
+  if (!isTypemapRule(rule)) {
+    return [];
+  }
+
+  const state = conflictState;
+  if (!state.byId.has(rule.id)) {
+    state.byId.set(rule.id, findRuleConflicts(rule, state.rules));
+  }
+  return state.byId.get(rule.id);
+}
+
+// Compare a rule with every later rule in execution order
+function findRuleConflicts(rule, sortedRules) {
   const conflicts = [];
-  const ruleIndex = typemapRules.findIndex((r) => r.id === rule.id);
+  const ruleIndex = sortedRules.findIndex((r) => r.id === rule.id);
 
   // Check against all later rules (which would override this one)
-  for (let i = ruleIndex + 1; i < typemapRules.length; i++) {
-    const laterRule = typemapRules[i];
+  for (let i = ruleIndex + 1; i < sortedRules.length; i++) {
+    const laterRule = sortedRules[i];
+    if (!isTypemapRule(laterRule)) continue;
+
     const overlap = checkPatternOverlap(rule.pattern, laterRule.pattern);
 
     if (overlap) {
-      if (rule.filetype !== laterRule.filetype) {
+      // Only a later rule covering every path of this one overrides it fully
+      const isFull = overlap.type === "exact" || overlap.type === "contained";
+      const example = isFull ? "" : `, e.g. ${overlap.example}`;
+
+      if (laterRule.exclude && !rule.exclude) {
+        conflicts.push(
+          `${isFull ? "Excluded" : "Partially excluded"} by rule ${
+            laterRule.order
+          }${example}`
+        );
+      } else if (laterRule.exclude) {
+        conflicts.push(
+          `${isFull ? "Duplicated" : "Partially duplicated"} by rule ${
+            laterRule.order
+          }${example}`
+        );
+      } else if (
+        rule.exclude ||
+        !P4FileTypes.areEquivalent(rule.filetype, laterRule.filetype)
+      ) {
+        // Later mappings win, and also re-include paths an exclusion removed
         conflicts.push(
-          `Overridden by rule ${laterRule.order} (${laterRule.filetype})`
+          `${isFull ? "Overridden" : "Partially overridden"} by rule ${
+            laterRule.order
+          } (${laterRule.filetype})${example}`
         );
       } else {
-        conflicts.push(`Duplicated by rule ${laterRule.order}`);
+        // Point out equivalent filetypes that are spelled differently
+        const spelling =
+          rule.filetype !== laterRule.filetype
+            ? ` (same filetype written as ${laterRule.filetype})`
+            : "";
+        conflicts.push(
+          `${isFull ? "Duplicated" : "Partially duplicated"} by rule ${
+            laterRule.order
+          }${spelling}${example}`
+        );
       }
     }
   }
@@ -897,90 +2340,2885 @@ function checkRuleConflicts(rule) {
   return conflicts;
 }
 
-// Check if two patterns overlap
-function checkPatternOverlap(pattern1, pattern2) {
-  // Exact match
-  if (pattern1 === pattern2) {
-    return { type: "exact" };
+// Check if two patterns overlap, using real Perforce wildcard semantics
+// Returns null when no depot path can match both patterns. Otherwise the type
+// describes pattern1 relative to pattern2 ("exact", "contained", "contains"
+// or "intersects") and example is a path matched by both.
+function checkPatternOverlap(pattern1, pattern2) {
+  const { relation, example } = P4Wildcards.compare(pattern1, pattern2);
+
+  if (relation === "disjoint") {
+    return null;
+  }
+
+  return { type: relation === "equal" ? "exact" : relation, example };
+}
+
+// Shadowing analysis
+// Pairwise warnings miss rules that are covered by several later rules
+// together, so each rule is checked against the union of all later rules.
+// A rule is dead when no depot path reaches it, and partially shadowed when
+// later rules take over only some of its paths.
+function analyzeShadowing() {
+  const rules = getRulesInExecutionOrder().filter(isTypemapRule);
+  const report = { dead: [], partial: [] };
+
+  rules.forEach((rule, index) => {
+    const overlapping = rules
+      .slice(index + 1)
+      .map((laterRule) => ({
+        rule: laterRule,
+        overlap: checkPatternOverlap(rule.pattern, laterRule.pattern),
+      }))
+      .filter((entry) => entry.overlap);
+    if (overlapping.length === 0) return;
+
+    // The last matching rule wins, so show the example with the rule that
+    // actually takes it over
+    const shadowedBy = (path) =>
+      [...overlapping]
+        .reverse()
+        .find((entry) => P4Wildcards.matches(entry.rule.pattern, path)).rule;
+    const example = overlapping[0].overlap.example;
+
+    const unreached = P4Wildcards.findUncovered(
+      rule.pattern,
+      overlapping.map((entry) => entry.rule.pattern)
+    );
+
+    const finding = {
+      rule,
+      coveringRules: overlapping.map((entry) => entry.rule),
+      example,
+      exampleRule: shadowedBy(example),
+      unreached,
+      // Later rules giving the same filetype make the rule redundant rather
+      // than wrong
+      redundant:
+        !rule.exclude &&
+        overlapping.every(
+          (entry) =>
+            !entry.rule.exclude &&
+            P4FileTypes.areEquivalent(entry.rule.filetype, rule.filetype)
+        ),
+    };
+
+    if (unreached === null) {
+      report.dead.push(finding);
+    } else {
+      report.partial.push(finding);
+    }
+  });
+
+  return report;
+}
+
+function openShadowReport() {
+  closeShadowReport();
+
+  const template = document.getElementById("shadowReportModalTemplate");
+  const modal = template.cloneNode(true);
+  modal.id = "shadowReportModal";
+  modal.style.display = "block";
+
+  const report = analyzeShadowing();
+  const describeRule = (rule) =>
+    `rule ${rule.order} <code>${escapeHtml(formatRulePattern(rule))}</code> (${
+      rule.exclude ? "exclusion" : escapeHtml(rule.filetype)
+    })`;
+
+  const renderFinding = (finding) => `
+    <li class="shadow-finding">
+        <div>
+            <a href="#" onclick="goToRule('${
+              finding.rule.id
+            }'); return false;">Rule ${finding.rule.order}</a>
+            <code>${escapeHtml(formatRulePattern(finding.rule))}</code>
+            ${
+              finding.rule.exclude
+                ? "exclusion"
+                : `<code>${escapeHtml(finding.rule.filetype)}</code>`
+            }
+            ${
+              finding.redundant
+                ? `<span class="legacy-type" title="Every later rule covering it gives the same filetype">redundant</span>`
+                : ""
+            }
+        </div>
+        <div class="shadow-example">
+            e.g. <code>${escapeHtml(finding.example)}</code> is taken by
+            ${describeRule(finding.exampleRule)}
+        </div>
+        ${
+          finding.unreached !== null
+            ? `<div class="shadow-example">still applies to e.g. <code>${escapeHtml(
+                finding.unreached
+              )}</code></div>`
+            : ""
+        }
+        <div class="shadow-covering">Covered by rule(s) ${finding.coveringRules
+          .map((rule) => rule.order)
+          .join(", ")}</div>
+    </li>`;
+
+  const renderSection = (title, findings, empty) => `
+    <h4>${title} (${findings.length})</h4>
+    ${
+      findings.length > 0
+        ? `<ul class="shadow-list">${findings.map(renderFinding).join("")}</ul>`
+        : `<p>${empty}</p>`
+    }`;
+
+  modal.querySelector("#shadowReportContent").innerHTML =
+    renderSection(
+      "Never take effect",
+      report.dead,
+      "Every rule applies to at least some depot paths."
+    ) +
+    renderSection(
+      "Partially shadowed",
+      report.partial,
+      "No rule is partly overridden by later rules."
+    );
+
+  const selectButton = modal.querySelector("#selectDeadRulesBtn");
+  selectButton.disabled = report.dead.length === 0;
+  selectButton.onclick = () => {
+    selectedRuleIds = new Set(report.dead.map((finding) => finding.rule.id));
+    lastSelectedId = null;
+    refreshSelection();
+    closeShadowReport();
+  };
+
+  document.body.appendChild(modal);
+  updateStatus(
+    `${report.dead.length} dead and ${report.partial.length} partially shadowed rule(s)`
+  );
+}
+
+function closeShadowReport() {
+  const modal = document.getElementById("shadowReportModal");
+  if (modal) {
+    modal.remove();
+  }
+}
+
+// Scroll a rule into view and select it
+function goToRule(ruleId) {
+  closeShadowReport();
+  const row = document.querySelector(`[data-rule-id="${ruleId}"]`);
+  if (!row) {
+    updateStatus("The rule is hidden by the current filters");
+    return;
+  }
+  selectedRuleIds = new Set([ruleId]);
+  lastSelectedId = ruleId;
+  refreshSelection();
+  row.scrollIntoView();
+}
+
+// Filetype recommendations review
+// Storage modifiers are a capacity decision for each team, so rules are only
+// compared with the knowledge base on base type and the other modifiers.
+function isStorageModifier(modifier) {
+  return /^(C|D|F|X|S\d*)$/.test(modifier);
+}
+
+function getRecommendationDeviations() {
+  return getRulesInExecutionOrder()
+    .filter((rule) => isTypemapRule(rule) && !rule.exclude)
+    .map((rule) => {
+      const recommendation = P4ExtensionTypes.recommendForPattern(rule.pattern);
+      if (!recommendation) return null;
+
+      const current = P4FileTypes.parse(rule.filetype);
+      const recommended = P4FileTypes.parse(recommendation.filetype);
+      const baseDiffers = !!current.base && current.base !== recommended.base;
+      const missing = recommended.modifiers.filter(
+        (mod) => !isStorageModifier(mod) && !current.modifiers.includes(mod)
+      );
+      if (!baseDiffers && missing.length === 0) return null;
+
+      // Keep the rule's own modifiers and add what it lacks
+      const suggested = P4FileTypes.canonicalize(
+        P4FileTypes.format({
+          base: current.base ? recommended.base : "",
+          modifiers: [...current.modifiers, ...missing],
+        })
+      );
+      return { rule, recommendation, suggested };
+    })
+    .filter(Boolean);
+}
+
+function openRecommendationReview() {
+  closeRecommendationReview();
+
+  const template = document.getElementById("recommendationModalTemplate");
+  const modal = template.cloneNode(true);
+  modal.id = "recommendationModal";
+  modal.style.display = "block";
+
+  const deviations = getRecommendationDeviations();
+  modal.querySelector("#recommendationSummary").textContent =
+    deviations.length > 0
+      ? `${deviations.length} rule(s) differ from the recommended filetype for their extension.`
+      : "Every rule with a known extension follows the recommendations.";
+
+  modal.querySelector("#recommendationList").innerHTML =
+    deviations.length > 0
+      ? `
+    <table class="typemap-table">
+        <thead>
+            <tr><th></th><th>Order</th><th>Pattern</th><th>Filetype</th><th>Why</th></tr>
+        </thead>
+        <tbody>
+            ${deviations
+              .map(
+                ({ rule, recommendation, suggested }) => `
+                <tr>
+                    <td><input type="checkbox" class="recommendation-check" data-rule-id="${
+                      rule.id
+                    }" data-filetype="${escapeHtml(suggested)}" checked></td>
+                    <td>${rule.order}</td>
+                    <td><code>${escapeHtml(rule.pattern)}</code></td>
+                    <td><code>${escapeHtml(
+                      rule.filetype
+                    )}</code> → <code>${escapeHtml(suggested)}</code></td>
+                    <td>${escapeHtml(recommendation.category)}: ${escapeHtml(
+                  recommendation.reason
+                )}</td>
+                </tr>`
+              )
+              .join("")}
+        </tbody>
+    </table>`
+      : "";
+  modal.querySelector("#applyRecommendationsBtn").disabled =
+    deviations.length === 0;
+
+  document.body.appendChild(modal);
+}
+
+function closeRecommendationReview() {
+  const modal = document.getElementById("recommendationModal");
+  if (modal) {
+    modal.remove();
+  }
+}
+
+function applySelectedRecommendations() {
+  const modal = document.getElementById("recommendationModal");
+  if (!modal) return;
+
+  let changed = 0;
+  modal.querySelectorAll(".recommendation-check:checked").forEach((cb) => {
+    const rule = typemapRules.find((r) => r.id === cb.dataset.ruleId);
+    if (rule) {
+      rule.filetype = cb.dataset.filetype;
+      changed++;
+    }
+  });
+
+  closeRecommendationReview();
+  if (changed === 0) return;
+
+  markAsChanged();
+  recordHistory(`Apply ${changed} filetype recommendation(s)`);
+  renderTable();
+  updateStatus(`Applied the recommended filetype to ${changed} rule(s)`);
+}
+
+// Typemap linter
+// Each check has a default severity; the team can override it in
+// TemplateConfig.getLintSettings() and each user in the findings panel.
+// Checks with checkFileType only look at the filetype and also drive the
+// warnings in the filetype editor.
+const LINT_SEVERITIES = ["error", "warning", "info", "off"];
+const LINT_STORAGE_KEY = "p4typemaptool.lintSeverities";
+const LINT_DOCK_STORAGE_KEY = "p4typemaptool.lintDock";
+
+const LINT_CHECKS = [
+  {
+    id: "binary-art-lock",
+    label: "Binary art assets without exclusive lock (+l)",
+    severity: "warning",
+    check(rule) {
+      // Unmergeable formats are the ones the knowledge base locks
+      const recommendation = P4ExtensionTypes.recommendForPattern(rule.pattern);
+      const { base, modifiers } = P4FileTypes.parse(rule.filetype);
+      if (
+        recommendation &&
+        P4FileTypes.parse(recommendation.filetype).modifiers.includes("l") &&
+        base === "binary" &&
+        !modifiers.includes("l")
+      ) {
+        return `.${recommendation.extension} files cannot be merged; add +l so only one person edits them at a time`;
+      }
+      return null;
+    },
+  },
+  {
+    id: "binary-keywords",
+    label: "RCS keywords (+k) on binary files",
+    severity: "warning",
+    checkFileType(baseType, modifiers) {
+      return baseType === "binary" &&
+        (modifiers.includes("k") || modifiers.includes("ko"))
+        ? "RCS keywords (+k) have no effect on binary files"
+        : null;
+    },
+  },
+  {
+    id: "text-lock",
+    label: "Exclusive lock (+l) on text files",
+    severity: "info",
+    checkFileType(baseType, modifiers) {
+      return baseType === "text" && modifiers.includes("l")
+        ? "Exclusive lock (+l) is typically used for binary files"
+        : null;
+    },
+  },
+  {
+    id: "multiple-storage",
+    label: "More than one storage modifier (+C, +D, +F)",
+    severity: "error",
+    checkFileType(baseType, modifiers) {
+      const storageModifiers = modifiers.filter((m) =>
+        ["C", "D", "F"].includes(m)
+      );
+      return storageModifiers.length > 1
+        ? "Only one storage modifier (+C, +D, +F) should be used"
+        : null;
+    },
+  },
+  {
+    id: "conflicting-keywords",
+    label: "Both +k and +ko",
+    severity: "error",
+    checkFileType(baseType, modifiers) {
+      return modifiers.includes("k") && modifiers.includes("ko")
+        ? "Cannot use both +k and +ko modifiers"
+        : null;
+    },
+  },
+  {
+    id: "catch-all-not-first",
+    label: "Catch-all //... rule that is not first",
+    severity: "warning",
+    check(rule, index) {
+      return rule.pattern === "//..." && !rule.exclude && index > 0
+        ? "A catch-all rule overrides every rule above it; move it to the top"
+        : null;
+    },
+  },
+  {
+    id: "broad-pattern",
+    label: "Overly broad patterns",
+    severity: "info",
+    check(rule) {
+      // A whole depot, or every file below a single top-level folder
+      return !rule.exclude &&
+        /^\/\/[^/]+\/(?:[^/]+\/)?\.\.\.$/.test(rule.pattern)
+        ? "Pattern covers a whole depot or top-level folder regardless of file type"
+        : null;
+    },
+  },
+  {
+    id: "pattern-whitespace",
+    label: "Whitespace at the start or end of a path segment",
+    severity: "warning",
+    check(rule) {
+      return /(^|\/)\s|\s(\/|$)/.test(getWrittenPattern(rule))
+        ? "Path segment starts or ends with whitespace, which is easy to miss and rarely intended"
+        : null;
+    },
+  },
+];
+
+// The pattern as written in the spec. Parsing trims whitespace around it,
+// but a quoted pattern such as "//depot/name /..." keeps it.
+function getWrittenPattern(rule) {
+  const source = rule.originalLine
+    ? rule.originalLine
+        .replace(/##.*$/, "")
+        .trim()
+        .replace(/^\S+\s+-?/, "")
+    : rule.pattern;
+  const quoted = source.match(/^"(.*)"$/);
+  return quoted ? quoted[1] : source;
+}
+
+// Effective severity for each check: defaults, then team settings, then the
+// user's own choices
+function getLintSeverities() {
+  const severities = {};
+  LINT_CHECKS.forEach((check) => {
+    severities[check.id] = check.severity;
+  });
+
+  const teamSettings = TemplateConfig.getLintSettings
+    ? TemplateConfig.getLintSettings()
+    : {};
+  Object.assign(severities, teamSettings.severities || {});
+
+  try {
+    Object.assign(
+      severities,
+      JSON.parse(localStorage.getItem(LINT_STORAGE_KEY)) || {}
+    );
+  } catch (error) {
+    console.warn("Could not read lint settings:", error);
+  }
+  return severities;
+}
+
+function setLintSeverity(checkId, severity) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LINT_STORAGE_KEY)) || {};
+    stored[checkId] = severity;
+    localStorage.setItem(LINT_STORAGE_KEY, JSON.stringify(stored));
+  } catch (error) {
+    console.warn("Could not store lint settings:", error);
+  }
+  renderLintPanel();
+}
+
+function resetLintSeverities() {
+  try {
+    localStorage.removeItem(LINT_STORAGE_KEY);
+  } catch (error) {
+    console.warn("Could not reset lint settings:", error);
+  }
+  renderLintPanel();
+}
+
+// Run every enabled check and return findings sorted by severity, then rule
+// Lints the loaded typemap unless another list of rules is given.
+function lintTypemap(rules = typemapRules) {
+  const severities = getLintSeverities();
+  const findings = [];
+
+  [...rules]
+    .sort((a, b) => a.order - b.order)
+    .filter(isTypemapRule)
+    .forEach((rule, index) => {
+      const { base, modifiers } = P4FileTypes.parse(rule.filetype);
+      LINT_CHECKS.forEach((check) => {
+        const severity = severities[check.id];
+        if (!severity || severity === "off") return;
+        // Exclusions assign no filetype
+        if (check.checkFileType && rule.exclude) return;
+
+        const message = check.checkFileType
+          ? check.checkFileType(base, modifiers)
+          : check.check(rule, index);
+        if (message) {
+          findings.push({ check, severity, rule, message });
+        }
+      });
+    });
+
+  return findings.sort(
+    (a, b) =>
+      LINT_SEVERITIES.indexOf(a.severity) -
+        LINT_SEVERITIES.indexOf(b.severity) || a.rule.order - b.rule.order
+  );
+}
+
+function toggleLintPanel() {
+  const panel = document.getElementById("lintPanel");
+  if (!panel) return;
+
+  panel.style.display = panel.style.display === "none" ? "flex" : "none";
+  setLintDock(localStorage.getItem(LINT_DOCK_STORAGE_KEY) || "right");
+  renderLintPanel();
+}
+
+// Dock the findings panel on the right or along the bottom of the window
+function setLintDock(position) {
+  const panel = document.getElementById("lintPanel");
+  if (!panel) return;
+
+  panel.classList.toggle("dock-right", position === "right");
+  panel.classList.toggle("dock-bottom", position === "bottom");
+  try {
+    localStorage.setItem(LINT_DOCK_STORAGE_KEY, position);
+  } catch (error) {
+    console.warn("Could not store the lint panel position:", error);
+  }
+}
+
+function toggleLintDock() {
+  const panel = document.getElementById("lintPanel");
+  if (!panel) return;
+  setLintDock(panel.classList.contains("dock-right") ? "bottom" : "right");
+}
+
+function toggleLintSettings() {
+  const settings = document.getElementById("lintSettings");
+  if (!settings) return;
+  settings.style.display = settings.style.display === "none" ? "block" : "none";
+}
+
+function renderLintPanel() {
+  const panel = document.getElementById("lintPanel");
+  const list = document.getElementById("lintFindings");
+  if (!panel || !list || panel.style.display === "none") return;
+
+  const findings = lintTypemap();
+  const counts = {};
+  findings.forEach((finding) => {
+    counts[finding.severity] = (counts[finding.severity] || 0) + 1;
+  });
+  document.getElementById("lintSummary").textContent =
+    findings.length > 0
+      ? LINT_SEVERITIES.filter((severity) => counts[severity])
+          .map((severity) => `${counts[severity]} ${severity}(s)`)
+          .join(", ")
+      : "No findings";
+
+  list.innerHTML = findings
+    .map(
+      (finding) => `
+        <li class="lint-finding lint-${finding.severity}" onclick="goToRule('${
+        finding.rule.id
+      }')" title="${escapeHtml(finding.check.label)}">
+            <span class="lint-severity">${finding.severity}</span>
+            <strong>Rule ${finding.rule.order}</strong>
+            <code>${escapeHtml(formatRulePattern(finding.rule))}</code>
+            <div>${escapeHtml(finding.message)}</div>
+        </li>`
+    )
+    .join("");
+
+  const severities = getLintSeverities();
+  document.getElementById("lintSettingsList").innerHTML = LINT_CHECKS.map(
+    (check) => `
+        <label class="lint-setting">
+            <select onchange="setLintSeverity('${check.id}', this.value)">
+                ${LINT_SEVERITIES.map(
+                  (severity) =>
+                    `<option value="${severity}" ${
+                      severities[check.id] === severity ? "selected" : ""
+                    }>${severity}</option>`
+                ).join("")}
+            </select>
+            ${escapeHtml(check.label)}
+        </label>`
+  ).join("");
+}
+
+// Get all rules sorted by execution order
+function getRulesInExecutionOrder() {
+  return [...typemapRules].sort((a, b) => a.order - b.order);
+}
+
+// Work out which rules match a depot path and which one wins
+// The last matching line in execution order decides; if that line is an
+// exclusion the path gets no filetype from the typemap.
+function evaluatePathAgainstRules(path) {
+  const matches = getRulesInExecutionOrder().filter(
+    (rule) =>
+      isTypemapRule(rule) &&
+      rule.pattern &&
+      P4Wildcards.matches(rule.pattern, path)
+  );
+  const winner = matches.length > 0 ? matches[matches.length - 1] : null;
+
+  return {
+    path,
+    matches,
+    winner,
+    filetype: winner && !winner.exclude ? winner.filetype : null,
+  };
+}
+
+// Compile the rules once for checking many paths against them
+// Returns a function giving the rule that decides a path, or null. Same
+// result as evaluatePathAgainstRules, without sorting the rules per path.
+function createRuleEvaluator() {
+  const compiled = getRulesInExecutionOrder()
+    .filter((rule) => isTypemapRule(rule) && rule.pattern)
+    .map((rule) => ({ rule, regex: P4Wildcards.toRegExp(rule.pattern) }))
+    .reverse();
+
+  return (path) => {
+    const match = compiled.find(({ regex }) => regex.test(path));
+    return match ? match.rule : null;
+  };
+}
+
+// Show or hide the path tester panel
+function togglePathTester() {
+  const panel = document.getElementById("pathTesterPanel");
+  if (!panel) return;
+
+  const isHidden = panel.style.display === "none";
+  panel.style.display = isHidden ? "block" : "none";
+
+  if (isHidden) {
+    updatePathTester();
+    document.getElementById("pathTesterInput").focus();
+  }
+}
+
+// Re-test paths shortly after the user stops typing
+const onPathTesterInput = P4Utils.debounce(() => updatePathTester(), 200);
+
+// Test every entered path against the current (unsaved) rules
+function updatePathTester() {
+  const panel = document.getElementById("pathTesterPanel");
+  const input = document.getElementById("pathTesterInput");
+  const resultsDiv = document.getElementById("pathTesterResults");
+  if (!panel || !input || !resultsDiv || panel.style.display === "none") {
+    return;
+  }
+
+  const paths = input.value
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line);
+
+  resultsDiv.innerHTML = paths
+    .map((path) => renderPathTestResult(evaluatePathAgainstRules(path)))
+    .join("");
+}
+
+function renderPathTestResult(result) {
+  const { path, matches, winner, filetype } = result;
+
+  let summary;
+  if (!winner) {
+    summary = `<span class="test-result no-match">No rule matches - server detects the type</span>`;
+  } else if (!filetype) {
+    summary = `<span class="test-result no-match">Excluded by rule ${winner.order} - server detects the type</span>`;
+  } else {
+    summary = `<span class="test-result match">${escapeHtml(filetype)} (rule ${
+      winner.order
+    })</span>`;
+  }
+
+  const matchList = matches
+    .map((rule) => {
+      const isWinner = rule === winner;
+      return `<li class="${isWinner ? "winning-rule" : "overridden-rule"}">
+            ${isWinner ? "✔" : "↷"} Rule ${rule.order}:
+            <code>${escapeHtml(rule.filetype)} ${escapeHtml(
+        formatRulePattern(rule)
+      )}</code>
+            ${isWinner ? "" : "(overridden)"}
+          </li>`;
+    })
+    .join("");
+
+  return `
+        <div class="path-test-result">
+            <div class="test-section">
+                <code class="tested-path">${escapeHtml(path)}</code>
+                ${summary}
+            </div>
+            ${matchList ? `<ul class="matching-rules">${matchList}</ul>` : ""}
+        </div>
+    `;
+}
+
+// Review changes against the server typemap before saving
+function saveTypemap() {
+  return runIfValid(
+    validateTypemap(typemapRules),
+    "Save typemap",
+    reviewTypemapSave
+  );
+}
+
+// Compare with the server typemap and open the save review
+async function reviewTypemapSave() {
+  try {
+    updateStatus("Comparing with server typemap...");
+
+    const result = await p4vjs.p4(["typemap", "-o"]);
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    const serverRules = parseTypemapData(result.data);
+
+    // Someone else saved since we loaded: merge their work instead of
+    // silently overwriting it
+    if (
+      generateTypemapText(serverRules) !==
+      generateTypemapText(serverSnapshotRules)
+    ) {
+      showMergeDialog(serverRules);
+      updateStatus("Server typemap changed - merge required");
+      return;
+    }
+
+    showSaveReview(serverRules);
+    updateStatus("Review changes before saving");
+  } catch (error) {
+    updateStatus("Error reading server typemap: " + error.message);
+    alert("Error reading server typemap: " + error.message);
+  }
+}
+
+// Show the pre-save review dialog comparing server rules with the editor
+function showSaveReview(serverRules) {
+  closeSaveReview();
+
+  const template = document.getElementById("saveReviewModalTemplate");
+  const modal = template.cloneNode(true);
+  modal.id = "saveReviewModal";
+  modal.style.display = "block";
+
+  const changes = summarizeRuleChanges(serverRules, typemapRules);
+  const diff = P4Utils.diffLines(
+    splitTypemapLines(generateTypemapText(serverRules)),
+    splitTypemapLines(generateTypemapText())
+  );
+
+  modal.querySelector("#saveReviewSummary").innerHTML =
+    renderRuleChangeSummary(changes);
+  modal.querySelector("#saveReviewDiff").innerHTML = renderLineDiff(diff);
+
+  // Offer to tidy up filetypes written in a non-canonical form
+  const nonCanonical = getNonCanonicalRules();
+  if (nonCanonical.length > 0) {
+    const notice = modal.querySelector("#saveReviewNormalize");
+    notice.querySelector("span").textContent = `${
+      nonCanonical.length
+    } rule(s) spell their filetype in a non-canonical form: ${nonCanonical
+      .map(
+        (rule) =>
+          `${rule.filetype} → ${P4FileTypes.canonicalize(rule.filetype)}`
+      )
+      .join(", ")}`;
+    notice.style.display = "flex";
+  }
+
+  const versioning = getDepotVersionSettings();
+  modal.querySelector("#versionInDepot").checked = versioning.enabled;
+  modal.querySelector("#versionDepotPath").value = versioning.depotPath;
+
+  document.body.appendChild(modal);
+  modal.querySelector(".btn.primary").focus();
+}
+
+// Normalize filetypes from the save review, then review again
+function normalizeBeforeSave() {
+  closeSaveReview();
+  normalizeAllFileTypes();
+  reviewTypemapSave();
+}
+
+function closeSaveReview() {
+  const modal = document.getElementById("saveReviewModal");
+  if (modal) {
+    modal.remove();
+  }
+}
+
+async function confirmSaveReview() {
+  const modal = document.getElementById("saveReviewModal");
+  const versioning = {
+    enabled: modal.querySelector("#versionInDepot").checked,
+    depotPath: modal.querySelector("#versionDepotPath").value.trim(),
+  };
+  if (versioning.enabled && !versioning.depotPath.startsWith("//")) {
+    alert(
+      "Enter the depot path to version the typemap in, e.g. //admin/config/typemap.txt"
+    );
+    return;
+  }
+  storeDepotVersionSettings(versioning);
+
+  closeSaveReview();
+  await submitTypemap();
+}
+
+// Split generated typemap text into lines without the spec indentation
+function splitTypemapLines(text) {
+  return text ? text.split("\n").map((line) => line.trim()) : [];
+}
+
+// Give typemap entries keys that identify them across versions
+// Rules are identified by their (possibly excluded) pattern and comment
+// lines by their text; repeats are told apart by how often they occurred
+// before.
+function keyTypemapEntries(entries) {
+  const seen = {};
+  return [...entries]
+    .sort((a, b) => a.order - b.order)
+    .map((entry) => {
+      let identity = formatRulePattern(entry);
+      if (entry.kind === "comment") {
+        identity = `## ${entry.comment}`;
+      } else if (entry.kind === "blank") {
+        identity = "(blank)";
+      }
+      seen[identity] = (seen[identity] || 0) + 1;
+      return { key: `${identity}#${seen[identity]}`, rule: entry };
+    });
+}
+
+// Classify rule-level differences between two rule lists
+function summarizeRuleChanges(oldRules, newRules) {
+  const oldKeyed = keyTypemapEntries(oldRules.filter(isTypemapRule));
+  const newKeyed = keyTypemapEntries(newRules.filter(isTypemapRule));
+  const oldByKey = new Map(oldKeyed.map((entry) => [entry.key, entry.rule]));
+  const newByKey = new Map(newKeyed.map((entry) => [entry.key, entry.rule]));
+
+  const changes = {
+    added: newKeyed.filter((e) => !oldByKey.has(e.key)).map((e) => e.rule),
+    removed: oldKeyed.filter((e) => !newByKey.has(e.key)).map((e) => e.rule),
+    retyped: [],
+    reordered: [],
+    commentsChanged: [],
+  };
+
+  newKeyed.forEach(({ key, rule }) => {
+    const oldRule = oldByKey.get(key);
+    if (!oldRule) return;
+
+    if (oldRule.filetype !== rule.filetype) {
+      changes.retyped.push({ oldRule, newRule: rule });
+    }
+    if ((oldRule.comment || "").trim() !== (rule.comment || "").trim()) {
+      changes.commentsChanged.push({ oldRule, newRule: rule });
+    }
+  });
+
+  // Rules kept in relative order form the longest common subsequence;
+  // every other common rule has moved
+  const oldCommon = oldKeyed.map((e) => e.key).filter((k) => newByKey.has(k));
+  const newCommon = newKeyed.map((e) => e.key).filter((k) => oldByKey.has(k));
+  const kept = new Set(
+    P4Utils.diffLines(oldCommon, newCommon)
+      .filter((entry) => entry.type === "same")
+      .map((entry) => entry.text)
+  );
+  changes.reordered = newCommon
+    .filter((key) => !kept.has(key))
+    .map((key) => ({ oldRule: oldByKey.get(key), newRule: newByKey.get(key) }));
+
+  return changes;
+}
+
+function renderRuleChangeSummary(changes) {
+  const { added, removed, retyped, reordered, commentsChanged } = changes;
+  const describe = (rule) =>
+    `<code>${escapeHtml(rule.filetype)} ${escapeHtml(
+      formatRulePattern(rule)
+    )}</code>`;
+
+  const sections = [];
+  if (removed.length > 0) {
+    sections.push(
+      `<div class="review-removed"><strong>Removed ${
+        removed.length
+      } rule(s):</strong><ul>${removed
+        .map((rule) => `<li>${describe(rule)}</li>`)
+        .join("")}</ul></div>`
+    );
+  }
+  if (added.length > 0) {
+    sections.push(
+      `<div class="review-added"><strong>Added ${
+        added.length
+      } rule(s):</strong><ul>${added
+        .map((rule) => `<li>${describe(rule)}</li>`)
+        .join("")}</ul></div>`
+    );
+  }
+  if (retyped.length > 0) {
+    sections.push(
+      `<div class="review-changed"><strong>Retyped ${
+        retyped.length
+      } rule(s):</strong><ul>${retyped
+        .map(
+          ({ oldRule, newRule }) =>
+            `<li><code>${escapeHtml(
+              formatRulePattern(newRule)
+            )}</code>: ${escapeHtml(oldRule.filetype)} → ${escapeHtml(
+              newRule.filetype
+            )}</li>`
+        )
+        .join("")}</ul></div>`
+    );
+  }
+  if (reordered.length > 0) {
+    sections.push(
+      `<div class="review-changed"><strong>Reordered ${
+        reordered.length
+      } rule(s):</strong><ul>${reordered
+        .map(
+          ({ oldRule, newRule }) =>
+            `<li>${describe(newRule)}: position ${oldRule.order} → ${
+              newRule.order
+            }</li>`
+        )
+        .join("")}</ul></div>`
+    );
+  }
+  if (commentsChanged.length > 0) {
+    sections.push(
+      `<div>Changed comments on ${commentsChanged.length} rule(s).</div>`
+    );
+  }
+
+  return sections.length > 0
+    ? sections.join("")
+    : "<div>No rule changes compared to the server typemap.</div>";
+}
+
+// Render a line diff, collapsing long runs of unchanged lines
+function renderLineDiff(diff, context = 3) {
+  const html = [];
+  let i = 0;
+
+  while (i < diff.length) {
+    if (diff[i].type !== "same") {
+      const sign = diff[i].type === "added" ? "+" : "-";
+      html.push(
+        `<div class="diff-line diff-${diff[i].type}">${sign} ${escapeHtml(
+          diff[i].text
+        )}</div>`
+      );
+      i++;
+      continue;
+    }
+
+    let end = i;
+    while (end < diff.length && diff[end].type === "same") {
+      end++;
+    }
+
+    const run = diff.slice(i, end);
+    const keepStart = i === 0 ? 0 : context;
+    const keepEnd = end === diff.length ? 0 : context;
+    const renderSame = (entry) =>
+      `<div class="diff-line diff-same">  ${escapeHtml(entry.text)}</div>`;
+
+    if (run.length > keepStart + keepEnd + 1) {
+      html.push(...run.slice(0, keepStart).map(renderSame));
+      html.push(
+        `<div class="diff-line diff-skipped">… ${
+          run.length - keepStart - keepEnd
+        } unchanged line(s)</div>`
+      );
+      html.push(...run.slice(run.length - keepEnd).map(renderSame));
+    } else {
+      html.push(...run.map(renderSame));
+    }
+    i = end;
+  }
+
+  return html.join("");
+}
+
+// Three-way merge state while the merge dialog is open
+let pendingMerge = null;
+
+// Merge server changes (theirs) and editor changes (mine) made since the
+// last load (base), rule by rule
+function threeWayMergeRules(base, theirs, mine) {
+  const baseKeyed = keyTypemapEntries(base);
+  const theirKeyed = keyTypemapEntries(theirs);
+  const mineKeyed = keyTypemapEntries(mine);
+
+  const baseByKey = new Map(baseKeyed.map((e) => [e.key, e.rule]));
+  const theirByKey = new Map(theirKeyed.map((e) => [e.key, e.rule]));
+  const mineByKey = new Map(mineKeyed.map((e) => [e.key, e.rule]));
+
+  const sameEntry = (a, b) =>
+    (!a && !b) ||
+    (a &&
+      b &&
+      a.filetype === b.filetype &&
+      (a.comment || "").trim() === (b.comment || "").trim());
+
+  const allKeys = [
+    ...new Set([
+      ...baseByKey.keys(),
+      ...theirByKey.keys(),
+      ...mineByKey.keys(),
+    ]),
+  ];
+
+  const items = new Map();
+  const conflicts = [];
+  let theirChanges = 0;
+  let myChanges = 0;
+
+  allKeys.forEach((key) => {
+    const b = baseByKey.get(key);
+    const t = theirByKey.get(key);
+    const m = mineByKey.get(key);
+
+    if (sameEntry(t, m)) {
+      items.set(key, { theirs: t, mine: m, choice: "mine" });
+    } else if (sameEntry(t, b)) {
+      myChanges++;
+      items.set(key, { theirs: t, mine: m, choice: "mine" });
+    } else if (sameEntry(m, b)) {
+      theirChanges++;
+      items.set(key, { theirs: t, mine: m, choice: "theirs" });
+    } else {
+      const item = { key, base: b, theirs: t, mine: m, choice: "mine" };
+      items.set(key, item);
+      conflicts.push(item);
+    }
+  });
+
+  // Compare relative order of the entries two versions share
+  const orderOf = (keyed, others) =>
+    keyed.map((e) => e.key).filter((key) => others.has(key));
+  const sameOrder = (a, b) => a.join("\n") === b.join("\n");
+
+  const theirsReordered = !sameOrder(
+    orderOf(baseKeyed, theirByKey),
+    orderOf(theirKeyed, baseByKey)
+  );
+  const mineReordered = !sameOrder(
+    orderOf(baseKeyed, mineByKey),
+    orderOf(mineKeyed, baseByKey)
+  );
+
+  const order = {
+    key: "(order)",
+    isOrder: true,
+    choice: theirsReordered && !mineReordered ? "theirs" : "mine",
+  };
+  if (
+    theirsReordered &&
+    mineReordered &&
+    !sameOrder(orderOf(theirKeyed, mineByKey), orderOf(mineKeyed, theirByKey))
+  ) {
+    conflicts.push(order);
+  }
+
+  return {
+    items,
+    conflicts,
+    order,
+    theirKeys: theirKeyed.map((e) => e.key),
+    mineKeys: mineKeyed.map((e) => e.key),
+    theirChanges: theirChanges + (theirsReordered ? 1 : 0),
+    myChanges: myChanges + (mineReordered ? 1 : 0),
+  };
+}
+
+// Build the merged rule list from the current conflict choices
+function buildMergedRules(merge) {
+  // One side's order is the skeleton; entries only the other side has are
+  // placed after the entry they followed there
+  const skeleton =
+    merge.order.choice === "theirs" ? merge.theirKeys : merge.mineKeys;
+  const other =
+    merge.order.choice === "theirs" ? merge.mineKeys : merge.theirKeys;
+
+  const keys = [...skeleton];
+  other.forEach((key, index) => {
+    if (keys.includes(key)) return;
+    const previous = other
+      .slice(0, index)
+      .reverse()
+      .find((k) => keys.includes(k));
+    keys.splice(previous ? keys.indexOf(previous) + 1 : 0, 0, key);
+  });
+
+  const merged = [];
+  keys.forEach((key) => {
+    const item = merge.items.get(key);
+    const entry = item.choice === "theirs" ? item.theirs : item.mine;
+    if (!entry) return;
+
+    merged.push({
+      ...P4Utils.deepClone(entry),
+      id: item.choice === "mine" ? entry.id : generateId(),
+      order: merged.length + 1,
+    });
+  });
+
+  return merged;
+}
+
+function showMergeDialog(serverRules) {
+  closeMergeDialog();
+
+  pendingMerge = threeWayMergeRules(
+    serverSnapshotRules,
+    serverRules,
+    typemapRules
+  );
+  pendingMerge.serverRules = serverRules;
+
+  const template = document.getElementById("mergeModalTemplate");
+  const modal = template.cloneNode(true);
+  modal.id = "mergeModal";
+  modal.style.display = "block";
+
+  const { conflicts, theirChanges, myChanges } = pendingMerge;
+  modal.querySelector(
+    "#mergeSummary"
+  ).textContent = `The server typemap was changed by someone else after you loaded it. ${theirChanges} of their change(s) and ${myChanges} of yours merge cleanly. ${
+    conflicts.length > 0
+      ? `${conflicts.length} conflict(s) need a decision:`
+      : "There are no conflicts."
+  }`;
+
+  const describe = (entry) => {
+    if (!entry) return "<em>(deleted)</em>";
+    if (entry.kind === "comment")
+      return `<code>## ${escapeHtml(entry.comment)}</code>`;
+    if (entry.kind === "blank") return "<em>(blank line)</em>";
+    return `<code>${escapeHtml(entry.filetype)} ${escapeHtml(
+      formatRulePattern(entry)
+    )}</code>${
+      entry.comment ? ` <span>## ${escapeHtml(entry.comment)}</span>` : ""
+    }`;
+  };
+
+  modal.querySelector("#mergeConflicts").innerHTML = conflicts
+    .map((conflict, index) => {
+      const title = conflict.isOrder
+        ? "Both of you reordered rules"
+        : `Rule <code>${escapeHtml(conflict.key.replace(/#\d+$/, ""))}</code>`;
+      const theirs = conflict.isOrder
+        ? "Use their rule order"
+        : `Theirs: ${describe(conflict.theirs)}`;
+      const mine = conflict.isOrder
+        ? "Keep my rule order"
+        : `Mine: ${describe(conflict.mine)}`;
+      return `
+        <div class="merge-conflict">
+            <div>${title}</div>
+            <label><input type="radio" name="mergeConflict${index}" value="mine" checked
+                onchange="resolveMergeConflict(${index}, 'mine')"> ${mine}</label>
+            <label><input type="radio" name="mergeConflict${index}" value="theirs"
+                onchange="resolveMergeConflict(${index}, 'theirs')"> ${theirs}</label>
+        </div>`;
+    })
+    .join("");
+
+  document.body.appendChild(modal);
+  modal.querySelector(".btn.primary").focus();
+}
+
+function resolveMergeConflict(index, choice) {
+  if (pendingMerge && pendingMerge.conflicts[index]) {
+    pendingMerge.conflicts[index].choice = choice;
+  }
+}
+
+function closeMergeDialog() {
+  const modal = document.getElementById("mergeModal");
+  if (modal) {
+    modal.remove();
+  }
+  pendingMerge = null;
+}
+
+// Load the merged result into the editor and continue to the save review
+function applyMerge() {
+  if (!pendingMerge) return;
+
+  const serverRules = pendingMerge.serverRules;
+  typemapRules = buildMergedRules(pendingMerge);
+  serverSnapshotRules = P4Utils.deepClone(serverRules);
+  closeMergeDialog();
+
+  markAsChanged();
+  recordHistory("Merge server changes");
+  renderTable();
+  updateRuleCount();
+
+  showSaveReview(serverRules);
+}
+
+// Save typemap back to Perforce
+async function submitTypemap() {
+  try {
+    updateStatus("Saving typemap...");
+
+    // Create form data for p4 typemap -i
+    const formData = generateTypemapSpec();
+
+    const result = await p4vjs.p4(["typemap", "-i"], formData);
+
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    updateStatus("Typemap saved successfully");
+    const changes = summarizeRuleChanges(serverSnapshotRules, typemapRules);
+    serverSnapshotRules = P4Utils.deepClone(typemapRules);
+    recordSnapshot("save");
+    markAsSaved();
+
+    const versioning = getDepotVersionSettings();
+    if (versioning.enabled) {
+      await versionTypemapInDepot(
+        versioning.depotPath,
+        describeRuleChangesAsText(changes),
+        formData
+      );
+    }
+
+    // Refresh P4V if possible
+    if (typeof p4vjs.refreshAll === "function") {
+      p4vjs.refreshAll();
+    }
+  } catch (error) {
+    updateStatus("Error saving typemap: " + error.message);
+    alert("Error saving typemap: " + error.message);
+  }
+}
+
+// Depot versioning of saved typemaps
+// Perforce can only submit files from a workspace, so the depot file is
+// opened in the current workspace. Its content is printed from the spec
+// depot when one versions the typemap; otherwise the saved spec is recorded
+// in the changelist description and the file is submitted unchanged.
+const DEPOT_VERSION_STORAGE_KEY = "p4typemaptool.depotVersioning";
+
+function getDepotVersionSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DEPOT_VERSION_STORAGE_KEY));
+    return { enabled: false, depotPath: "", ...stored };
+  } catch (error) {
+    return { enabled: false, depotPath: "" };
+  }
+}
+
+function storeDepotVersionSettings(settings) {
+  try {
+    localStorage.setItem(DEPOT_VERSION_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn("Could not store depot versioning settings:", error);
+  }
+}
+
+// Changelist description listing what the save changed
+function describeRuleChangesAsText(changes) {
+  const { added, removed, retyped, reordered, commentsChanged } = changes;
+  const describe = (rule) => `${rule.filetype} ${formatRulePattern(rule)}`;
+
+  const counts = [
+    added.length && `${added.length} added`,
+    removed.length && `${removed.length} removed`,
+    retyped.length && `${retyped.length} retyped`,
+    reordered.length && `${reordered.length} moved`,
+    commentsChanged.length && `${commentsChanged.length} comment(s) changed`,
+  ].filter(Boolean);
+
+  const lines = [
+    `Update typemap: ${
+      counts.length > 0 ? counts.join(", ") : "layout and comment lines only"
+    }`,
+    "",
+    ...removed.map((rule) => `- ${describe(rule)}`),
+    ...added.map((rule) => `+ ${describe(rule)}`),
+    ...retyped.map(
+      ({ oldRule, newRule }) =>
+        `* ${formatRulePattern(newRule)}: ${oldRule.filetype} -> ${
+          newRule.filetype
+        }`
+    ),
+    ...reordered.map(({ newRule }) => `> moved ${describe(newRule)}`),
+  ];
+
+  // Keep descriptions readable for sweeping changes
+  const limit = 50;
+  if (lines.length > limit + 2) {
+    const hidden = lines.length - limit - 2;
+    return [...lines.slice(0, limit + 2), `... and ${hidden} more`].join("\n");
+  }
+  return lines.join("\n");
+}
+
+// Find the typemap's file in the spec depot, if the server has one
+async function findSpecDepotTypemap() {
+  const depots = await p4vjs.p4(["depots"]);
+  const specDepot = (depots.data || []).find((depot) => depot.type === "spec");
+  if (!specDepot) return null;
+
+  const files = await p4vjs.p4(["files", `//${specDepot.name}/typemap.*`]);
+  const file = (files.data || []).find((f) => f.depotFile);
+  return file ? file.depotFile : null;
+}
+
+async function versionTypemapInDepot(depotPath, description, specText) {
+  let change = null;
+  try {
+    updateStatus(`Versioning typemap in ${depotPath}...`);
+
+    const where = await p4vjs.p4(["where", depotPath]);
+    const mapping = (where.data || []).find((item) => item.path);
+    if (where.error || !mapping) {
+      throw new Error(
+        `${depotPath} is not mapped in your current workspace. Map it in the workspace view and save again.`
+      );
+    }
+
+    const fstat = await p4vjs.p4(["fstat", "-T", "headAction", depotPath]);
+    const head = (fstat.data || []).find((item) => item.headAction);
+    const exists = head && !head.headAction.includes("delete");
+
+    const specFile = await findSpecDepotTypemap();
+    if (!specFile && !exists) {
+      throw new Error(
+        `the server has no spec depot to copy the typemap from, so ${depotPath} cannot be created automatically. Submit a first revision of it, then save again.`
+      );
+    }
+
+    change = await createPendingChangelist(
+      specFile ? description : `${description}\n\nTypemap spec:\n\n${specText}`
+    );
+
+    if (exists) {
+      // Opening an older revision would make the submit fail as out of date
+      await syncToHead(depotPath);
+      await runP4Checked(["edit", "-c", change, depotPath]);
+    }
+
+    if (specFile) {
+      // The spec depot holds exactly what was just saved
+      await runP4Checked(["print", "-q", "-o", mapping.path, specFile]);
+      if (!exists) {
+        await runP4Checked(["add", "-c", change, mapping.path]);
+      }
+    }
+
+    await submitVersionChange(change);
+  } catch (error) {
+    let message = error.message;
+    if (change) {
+      try {
+        await discardVersionChange(change, depotPath);
+        message += ` (changelist ${change} was reverted and deleted)`;
+      } catch (cleanupError) {
+        message += ` (changelist ${change} is still pending and could not be cleaned up: ${cleanupError.message})`;
+      }
+    }
+    updateStatus("Typemap saved, but versioning failed: " + message);
+    alert(
+      "The typemap was saved, but it could not be versioned in the depot: " +
+        message
+    );
+  }
+}
+
+async function syncToHead(depotPath) {
+  const result = await p4vjs.p4(["sync", depotPath]);
+  if (result.error && !/up-to-date/i.test(result.error)) {
+    throw new Error(result.error);
+  }
+}
+
+// Revert the typemap file opened in a failed versioning changelist, then
+// delete the changelist so nothing is left pending
+async function discardVersionChange(change, depotPath) {
+  const revert = await p4vjs.p4(["revert", "-c", change, depotPath]);
+  if (revert.error && !/not opened/i.test(revert.error)) {
+    throw new Error(revert.error);
+  }
+  await runP4Checked(["change", "-d", change]);
+}
+
+async function runP4Checked(args) {
+  const result = await p4vjs.p4(args);
+  if (result.error) {
+    throw new Error(result.error);
+  }
+  return result;
+}
+
+// Without a spec depot the file content does not change, so submit it
+// anyway to record the new revision
+async function submitVersionChange(change) {
+  const result = await runP4Checked([
+    "submit",
+    "-f",
+    "submitunchanged",
+    "-c",
+    change,
+  ]);
+  const submitted = (result.data || []).find(
+    (item) => item && item.submittedChange
+  );
+  const number = submitted ? submitted.submittedChange : change;
+  updateStatus(`Typemap saved and submitted in change ${number}`);
+}
+
+// Local snapshot history
+// The server keeps no typemap history, so the typemap text is stored in
+// localStorage after every load and save, separately for each server.
+const SNAPSHOT_LIMIT = 50;
+const SNAPSHOT_STORAGE_PREFIX = "p4typemaptool.snapshots.";
+let snapshotServerKey = null;
+
+async function getSnapshotStorageKey() {
+  if (snapshotServerKey === null) {
+    snapshotServerKey = "default";
+    try {
+      const result = await p4vjs.p4(["info", "-s"]);
+      const info = result.data && result.data[0];
+      if (info) {
+        snapshotServerKey =
+          info.serverID || info.serverAddress || snapshotServerKey;
+      }
+    } catch (error) {
+      console.warn("Could not identify server for snapshots:", error);
+    }
+  }
+  return SNAPSHOT_STORAGE_PREFIX + snapshotServerKey;
+}
+
+async function loadSnapshots() {
+  try {
+    const stored = localStorage.getItem(await getSnapshotStorageKey());
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.warn("Could not read typemap snapshots:", error);
+    return [];
+  }
+}
+
+async function storeSnapshots(snapshots) {
+  const key = await getSnapshotStorageKey();
+  const kept = [...snapshots];
+
+  // Drop the oldest snapshots until the rest fit in the storage quota
+  while (kept.length > 0) {
+    try {
+      localStorage.setItem(key, JSON.stringify(kept));
+      return;
+    } catch (error) {
+      kept.shift();
+    }
+  }
+  localStorage.removeItem(key);
+}
+
+// Record the server typemap; identical consecutive versions are stored once
+async function recordSnapshot(source) {
+  try {
+    const text = generateTypemapText(serverSnapshotRules);
+    const snapshots = await loadSnapshots();
+    const latest = snapshots[snapshots.length - 1];
+    if (latest && latest.text === text) return;
+
+    snapshots.push({
+      id: generateId(),
+      time: new Date().toISOString(),
+      source,
+      ruleCount: serverSnapshotRules.filter(isTypemapRule).length,
+      text,
+    });
+    await storeSnapshots(snapshots.slice(-SNAPSHOT_LIMIT));
+  } catch (error) {
+    console.warn("Could not record typemap snapshot:", error);
+  }
+}
+
+async function openSnapshotHistory() {
+  closeSnapshotHistory();
+  const template = document.getElementById("snapshotModalTemplate");
+  const modal = template.cloneNode(true);
+  modal.id = "snapshotModal";
+  modal.style.display = "block";
+  document.body.appendChild(modal);
+
+  await renderSnapshotList();
+}
+
+function closeSnapshotHistory() {
+  const modal = document.getElementById("snapshotModal");
+  if (modal) {
+    modal.remove();
+  }
+}
+
+async function renderSnapshotList() {
+  const modal = document.getElementById("snapshotModal");
+  if (!modal) return;
+
+  const snapshots = await loadSnapshots();
+  const list = modal.querySelector("#snapshotList");
+  if (snapshots.length === 0) {
+    list.innerHTML = "<p>No snapshots recorded yet.</p>";
+    return;
+  }
+
+  list.innerHTML = `
+    <table class="typemap-table">
+        <thead>
+            <tr><th></th><th>Recorded</th><th>Event</th><th>Rules</th><th></th></tr>
+        </thead>
+        <tbody>
+            ${snapshots
+              .map(
+                (snapshot) => `
+                <tr>
+                    <td><input type="checkbox" value="${
+                      snapshot.id
+                    }" onchange="onSnapshotChecked()"></td>
+                    <td>${new Date(snapshot.time).toLocaleString()}</td>
+                    <td>${snapshot.source === "save" ? "Saved" : "Loaded"}</td>
+                    <td>${snapshot.ruleCount}</td>
+                    <td><button onclick="restoreSnapshot('${
+                      snapshot.id
+                    }')" class="btn">Restore</button></td>
+                </tr>`
+              )
+              .reverse()
+              .join("")}
+        </tbody>
+    </table>`;
+  onSnapshotChecked();
+}
+
+function onSnapshotChecked() {
+  const modal = document.getElementById("snapshotModal");
+  if (!modal) return;
+
+  const checked = modal.querySelectorAll("#snapshotList input:checked").length;
+  const compareButton = modal.querySelector("#compareSnapshotsBtn");
+  compareButton.disabled = checked < 1 || checked > 2;
+  compareButton.textContent =
+    checked === 1 ? "Compare with Editor" : "Compare Selected";
+}
+
+// Diff two checked snapshots, or one against the current editor contents
+async function compareSnapshots() {
+  const modal = document.getElementById("snapshotModal");
+  if (!modal) return;
+
+  const snapshots = await loadSnapshots();
+  const ids = Array.from(
+    modal.querySelectorAll("#snapshotList input:checked")
+  ).map((input) => input.value);
+  const chosen = snapshots.filter((snapshot) => ids.includes(snapshot.id));
+  if (chosen.length === 0) return;
+
+  const describe = (snapshot) =>
+    `${snapshot.source === "save" ? "saved" : "loaded"} ${new Date(
+      snapshot.time
+    ).toLocaleString()}`;
+
+  const [older, newer] = chosen;
+  const oldText = older.text;
+  const newText = newer ? newer.text : generateTypemapText();
+  const title = `Changes from ${describe(older)} to ${
+    newer ? describe(newer) : "the editor"
+  }`;
+
+  const diff = P4Utils.diffLines(
+    splitTypemapLines(oldText),
+    splitTypemapLines(newText)
+  );
+  modal.querySelector("#snapshotDiff").innerHTML = `
+    <h4>${escapeHtml(title)}</h4>
+    ${
+      diff.some((entry) => entry.type !== "same")
+        ? `<div class="line-diff">${renderLineDiff(diff)}</div>`
+        : "<p>No differences.</p>"
+    }`;
+}
+
+// Load a snapshot into the editor; it reaches the server only when saved
+async function restoreSnapshot(snapshotId) {
+  const snapshot = (await loadSnapshots()).find((s) => s.id === snapshotId);
+  if (!snapshot) return;
+
+  const when = new Date(snapshot.time).toLocaleString();
+  if (
+    hasUnsavedChanges &&
+    !confirm(`Replace your unsaved changes with the typemap from ${when}?`)
+  ) {
+    return;
+  }
+
+  const entries = parseTemplateContent(`TypeMap:\n${snapshot.text}`);
+  typemapRules = entries.map((entry, index) =>
+    createEntryFromParsed(entry, index + 1)
+  );
+  closeSnapshotHistory();
+
+  if (generateTypemapText() === generateTypemapText(serverSnapshotRules)) {
+    markAsSaved();
+  } else {
+    markAsChanged();
+  }
+  recordHistory(`Restore snapshot from ${when}`);
+  renderTable();
+  updateRuleCount();
+  updateStatus(`Restored snapshot from ${when} - save to apply it`);
+}
+
+// Import and export
+// Rows are {order, filetype, pattern, comment}; exclusions keep their
+// leading "-" in the pattern and comment or blank lines have no filetype
+// and pattern.
+const EXPORT_FORMATS = {
+  spec: { extension: "txt", mimeType: "text/plain" },
+  json: { extension: "json", mimeType: "application/json" },
+  csv: { extension: "csv", mimeType: "text/csv" },
+};
+const CSV_COLUMNS = ["order", "filetype", "pattern", "comment"];
+
+function getExportRows() {
+  return getRulesInExecutionOrder().map((entry, index) => ({
+    order: index + 1,
+    filetype: isTypemapRule(entry) ? entry.filetype : "",
+    pattern: isTypemapRule(entry) ? formatRulePattern(entry) : "",
+    comment: entry.comment || "",
+  }));
+}
+
+function generateExport(format) {
+  if (format === "json") {
+    return JSON.stringify({ typemap: getExportRows() }, null, 2);
+  }
+  if (format === "csv") {
+    return P4Utils.toCsv([
+      CSV_COLUMNS,
+      ...getExportRows().map((row) => CSV_COLUMNS.map((column) => row[column])),
+    ]);
+  }
+  return generateTypemapSpec();
+}
+
+function openExportDialog() {
+  closeExportDialog();
+  const template = document.getElementById("exportModalTemplate");
+  const modal = template.cloneNode(true);
+  modal.id = "exportModal";
+  modal.style.display = "block";
+  document.body.appendChild(modal);
+  updateExportPreview();
+}
+
+function closeExportDialog() {
+  const modal = document.getElementById("exportModal");
+  if (modal) {
+    modal.remove();
+  }
+}
+
+function updateExportPreview() {
+  const modal = document.getElementById("exportModal");
+  if (!modal) return;
+
+  const format = modal.querySelector("#exportFormat").value;
+  modal.querySelector("#exportText").value = generateExport(format);
+}
+
+async function copyExport() {
+  const modal = document.getElementById("exportModal");
+  if (!modal) return;
+
+  const copied = await P4Utils.copyToClipboard(
+    modal.querySelector("#exportText").value
+  );
+  updateStatus(copied ? "Export copied to clipboard" : "Could not copy export");
+}
+
+function downloadExport() {
+  const modal = document.getElementById("exportModal");
+  if (!modal) return;
+
+  const format = modal.querySelector("#exportFormat").value;
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  P4Utils.downloadText(
+    `typemap.${extension}`,
+    modal.querySelector("#exportText").value,
+    mimeType
+  );
+}
+
+function openImportDialog() {
+  closeImportDialog();
+  const template = document.getElementById("importModalTemplate");
+  const modal = template.cloneNode(true);
+  modal.id = "importModal";
+  modal.style.display = "block";
+  document.body.appendChild(modal);
+}
+
+function closeImportDialog() {
+  const modal = document.getElementById("importModal");
+  if (modal) {
+    modal.remove();
+  }
+}
+
+async function onImportFileSelected(input) {
+  const modal = document.getElementById("importModal");
+  const file = input.files && input.files[0];
+  if (!modal || !file) return;
+
+  const content = await file.text();
+  modal.querySelector("#importText").value = content;
+  modal.querySelector("#importFormat").value = detectImportFormat(
+    content,
+    file.name
+  );
+  modal.querySelector("#importErrors").innerHTML = "";
+}
+
+// Guess the format from the file extension, then from the content
+function detectImportFormat(content, filename = "") {
+  const extension = filename.split(".").pop().toLowerCase();
+  if (extension === "json") return "json";
+  if (extension === "csv") return "csv";
+
+  const trimmed = content.trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) return "json";
+  if (/^TypeMap:/m.test(content)) return "spec";
+  if (/^"?order"?,/i.test(trimmed)) return "csv";
+  return "spec";
+}
+
+// Turn an import row into a rule or line entry, or an error message
+function importRowToEntry(row) {
+  const filetype = String(row.filetype || "").trim();
+  const patternText = String(row.pattern || "").trim();
+  const comment = String(row.comment || "")
+    .replace(/^##\s*/, "")
+    .trim();
+
+  if (row.kind === "blank" || (!filetype && !patternText && !comment)) {
+    return { entry: { kind: "blank", comment: "", originalLine: "" } };
+  }
+  if (row.kind === "comment" || (!filetype && !patternText)) {
+    return { entry: { kind: "comment", comment, originalLine: "" } };
+  }
+  if (!filetype) {
+    return { error: `Missing filetype for "${patternText}"` };
+  }
+  if (!patternText) {
+    return { error: `Missing depot path for filetype "${filetype}"` };
+  }
+
+  const { pattern, exclude } = parsePatternInput(patternText);
+  if (!pattern.startsWith("//")) {
+    return { error: `Depot path "${pattern}" should start with //` };
+  }
+  return { entry: { filetype, pattern, exclude, comment } };
+}
+
+// Rows keep their file position unless every row has a numeric order
+function sortImportedRows(rows) {
+  const ordered = rows.every((row) => !isNaN(parseFloat(row.data.order)));
+  return ordered
+    ? [...rows].sort(
+        (a, b) => parseFloat(a.data.order) - parseFloat(b.data.order)
+      )
+    : rows;
+}
+
+function parseJsonImport(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    // Engines report either a character position or a line number
+    const position = /position (\d+)/.exec(error.message);
+    const lineMatch = /line (\d+)/.exec(error.message);
+    const line = position
+      ? content.substring(0, parseInt(position[1], 10)).split("\n").length
+      : lineMatch
+      ? parseInt(lineMatch[1], 10)
+      : 1;
+    return {
+      entries: [],
+      errors: [{ line, message: `Invalid JSON: ${error.message}` }],
+    };
+  }
+
+  const items = Array.isArray(data)
+    ? data
+    : data && (data.typemap || data.rules);
+  if (!Array.isArray(items)) {
+    return {
+      entries: [],
+      errors: [
+        {
+          line: 1,
+          message:
+            'Expected an array of rules or an object with a "typemap" array',
+        },
+      ],
+    };
+  }
+
+  // JSON.parse does not keep positions, so find each entry's line by its
+  // opening brace
+  const braceLines = [];
+  let line = 1;
+  let depth = 0;
+  let inString = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (char === "\n") line++;
+    if (inString) {
+      if (char === "\\") i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === "{") {
+      depth++;
+      if (depth === (Array.isArray(data) ? 1 : 2)) braceLines.push(line);
+    } else if (char === "}") {
+      depth--;
+    }
+  }
+
+  const errors = [];
+  const rows = [];
+  items.forEach((item, index) => {
+    const itemLine = braceLines[index] || 1;
+    if (!item || typeof item !== "object") {
+      errors.push({
+        line: itemLine,
+        message: `Entry ${index + 1} is not an object`,
+      });
+      return;
+    }
+    rows.push({ line: itemLine, data: item });
+  });
+
+  return collectImportEntries(rows, errors);
+}
+
+function parseCsvImport(content) {
+  const { rows, errors } = P4Utils.parseCsv(content);
+  if (rows.length === 0) {
+    return { entries: [], errors };
+  }
+
+  // A header row names the columns; without one the export layout is assumed
+  let columns = CSV_COLUMNS;
+  const header = rows[0].cells.map((cell) => cell.trim().toLowerCase());
+  if (header.includes("pattern") || header.includes("filetype")) {
+    columns = header;
+    rows.shift();
+  }
+
+  return collectImportEntries(
+    rows.map((row) => ({
+      line: row.line,
+      data: Object.fromEntries(
+        columns.map((column, index) => [column, row.cells[index] || ""])
+      ),
+    })),
+    errors
+  );
+}
+
+function collectImportEntries(rows, errors) {
+  const entries = [];
+  sortImportedRows(rows).forEach((row) => {
+    const { entry, error } = importRowToEntry(row.data);
+    if (error) {
+      errors.push({ line: row.line, message: error });
+    } else {
+      entries.push(entry);
+    }
+  });
+
+  errors.sort((a, b) => a.line - b.line);
+  return { entries, errors };
+}
+
+function parseImportContent(content, format) {
+  if (format === "json") return parseJsonImport(content);
+  if (format === "csv") return parseCsvImport(content);
+
+  const errors = [];
+  const entries = parseTemplateContent(content, errors);
+  return { entries, errors };
+}
+
+function importTypemap() {
+  const modal = document.getElementById("importModal");
+  if (!modal) return;
+
+  const content = modal.querySelector("#importText").value;
+  const format = modal.querySelector("#importFormat").value;
+  const mode = modal.querySelector('input[name="importMode"]:checked').value;
+  const fileInput = modal.querySelector("#importFile");
+  const sourceName =
+    fileInput.files && fileInput.files[0]
+      ? fileInput.files[0].name
+      : "pasted text";
+
+  const { entries, errors } = parseImportContent(content, format);
+  if (errors.length === 0 && !entries.some(isTypemapRule)) {
+    errors.push({ line: 1, message: "No typemap rules found" });
+  }
+
+  const errorList = modal.querySelector("#importErrors");
+  if (errors.length > 0) {
+    errorList.innerHTML = `
+        <div class="validation-warning">Nothing was imported. Fix these problems and try again:</div>
+        <ul>
+            ${errors
+              .map(
+                (error) =>
+                  `<li>Line ${error.line}: ${escapeHtml(error.message)}</li>`
+              )
+              .join("")}
+        </ul>`;
+    return;
+  }
+
+  closeImportDialog();
+
+  if (mode === "replace") {
+    typemapRules = entries.map((entry, index) =>
+      createEntryFromParsed(entry, index + 1)
+    );
+  } else {
+    const mergeResult = mergeTemplateRules(entries, sourceName);
+    showTemplateLoadResults(sourceName, mergeResult);
+  }
+
+  markAsChanged();
+  recordHistory(
+    `${mode === "replace" ? "Replace with" : "Merge"} import from ${sourceName}`
+  );
+  renderTable();
+  updateRuleCount();
+  updateStatus(`Imported ${entries.filter(isTypemapRule).length} rules`);
+}
+
+// Paste raw typemap lines
+function openPasteDialog() {
+  closePasteDialog();
+  const template = document.getElementById("pasteModalTemplate");
+  const modal = template.cloneNode(true);
+  modal.id = "pasteModal";
+  modal.style.display = "block";
+
+  // Default to just after the selection, if there is one
+  const selected = getSelectedIdsInOrder();
+  const positionSelect = modal.querySelector("#pastePositionMode");
+  if (selected.length > 0) {
+    const last = typemapRules.find(
+      (r) => r.id === selected[selected.length - 1]
+    );
+    positionSelect.querySelector(
+      'option[value="selection"]'
+    ).textContent = `After ${describeEntry(last)} (selection)`;
+    positionSelect.value = "selection";
+  } else {
+    positionSelect.querySelector('option[value="selection"]').remove();
+  }
+  modal.querySelector("#pastePosition").max = typemapRules.length + 1;
+  modal.querySelector("#pastePosition").value = typemapRules.length + 1;
+
+  document.body.appendChild(modal);
+  updatePastePreview();
+  modal.querySelector("#pasteText").focus();
+}
+
+function closePasteDialog() {
+  const modal = document.getElementById("pasteModal");
+  if (modal) {
+    modal.remove();
+  }
+}
+
+// Parse pasted lines, adding the "TypeMap:" header if it is missing
+function parsePastedLines(text) {
+  const hasHeader = /^\s*TypeMap:/m.test(text);
+  const content = hasHeader
+    ? text
+    : "TypeMap:\n" +
+      text
+        .split("\n")
+        .map((line) => `\t${line}`)
+        .join("\n");
+
+  const errors = [];
+  const entries = parseTemplateContent(content, errors);
+  while (entries.length > 0 && entries[0].kind === "blank") {
+    entries.shift();
+  }
+
+  // Report line numbers of the pasted text, not of the added header
+  errors.forEach((error) => {
+    if (!hasHeader) error.line -= 1;
+  });
+  return { entries, errors };
+}
+
+// 1-based position in execution order where the first pasted line goes
+function getPastePosition(modal) {
+  const mode = modal.querySelector("#pastePositionMode").value;
+  const positionInput = modal.querySelector("#pastePosition");
+  positionInput.disabled = mode !== "position";
+
+  if (mode === "start") return 1;
+  if (mode === "selection") {
+    const selected = getSelectedIdsInOrder();
+    const last = typemapRules.find(
+      (r) => r.id === selected[selected.length - 1]
+    );
+    if (last) return last.order + 1;
+  }
+  if (mode === "position") {
+    const position = parseInt(positionInput.value, 10);
+    return Math.max(
+      1,
+      Math.min(isNaN(position) ? 1 : position, typemapRules.length + 1)
+    );
+  }
+  return typemapRules.length + 1;
+}
+
+const onPasteInput = P4Utils.debounce(() => updatePastePreview(), 200);
+
+function updatePastePreview() {
+  const modal = document.getElementById("pasteModal");
+  if (!modal) return;
+
+  const { entries, errors } = parsePastedLines(
+    modal.querySelector("#pasteText").value
+  );
+  const position = getPastePosition(modal);
+  const rules = entries.filter(isTypemapRule);
+
+  modal.querySelector("#pasteSummary").textContent =
+    entries.length > 0
+      ? `${rules.length} rule(s) and ${
+          entries.length - rules.length
+        } other line(s) will be inserted at position ${position}.`
+      : "Paste typemap lines above.";
+
+  const rows = entries.map((entry, index) => {
+    if (!isTypemapRule(entry)) {
+      return `
+        <tr>
+            <td>${position + index}</td>
+            <td colspan="2"><em>${
+              entry.kind === "comment"
+                ? `## ${escapeHtml(entry.comment)}`
+                : "Blank line"
+            }</em></td>
+        </tr>`;
+    }
+
+    const { base, modifiers } = P4FileTypes.parse(entry.filetype);
+    const warnings = [
+      ...P4Utils.validateDepotPath(entry.pattern),
+      ...validateFileTypeModifiers(base, modifiers),
+    ];
+    const existing = findExistingRule(entry.pattern, entry.exclude);
+    if (existing) {
+      warnings.push(
+        `Same pattern as rule ${existing.order} (${existing.filetype})`
+      );
+    }
+
+    return `
+        <tr>
+            <td>${position + index}</td>
+            <td><code>${escapeHtml(entry.filetype)}</code></td>
+            <td>
+                <code>${escapeHtml(formatRulePattern(entry))}</code>
+                ${entry.comment ? ` ## ${escapeHtml(entry.comment)}` : ""}
+                ${warnings
+                  .map(
+                    (w) =>
+                      `<div class="validation-warning">⚠️ ${escapeHtml(
+                        w
+                      )}</div>`
+                  )
+                  .join("")}
+            </td>
+        </tr>`;
+  });
+
+  modal.querySelector("#pastePreview").innerHTML = `
+    ${
+      errors.length > 0
+        ? `<ul class="paste-errors">${errors
+            .map(
+              (error) =>
+                `<li>Line ${error.line}: ${escapeHtml(error.message)}</li>`
+            )
+            .join("")}</ul>`
+        : ""
+    }
+    ${
+      rows.length > 0
+        ? `<table class="typemap-table">
+            <thead><tr><th>Order</th><th>File Type</th><th>Depot Path Pattern</th></tr></thead>
+            <tbody>${rows.join("")}</tbody>
+        </table>`
+        : ""
+    }`;
+
+  modal.querySelector(".btn.primary").disabled =
+    entries.length === 0 || errors.length > 0;
+}
+
+function insertPastedLines() {
+  const modal = document.getElementById("pasteModal");
+  if (!modal) return;
+
+  const { entries, errors } = parsePastedLines(
+    modal.querySelector("#pasteText").value
+  );
+  if (entries.length === 0 || errors.length > 0) return;
+
+  const position = getPastePosition(modal);
+  const newEntries = entries.map((entry) => createEntryFromParsed(entry, 0));
+
+  const ordered = getRulesInExecutionOrder();
+  ordered.splice(position - 1, 0, ...newEntries);
+  ordered.forEach((entry, index) => {
+    entry.order = index + 1;
+  });
+  typemapRules = ordered;
+
+  closePasteDialog();
+  selectedRuleIds = new Set(newEntries.map((entry) => entry.id));
+
+  markAsChanged();
+  recordHistory(
+    `Paste ${newEntries.length} line${
+      newEntries.length === 1 ? "" : "s"
+    } at position ${position}`
+  );
+  renderTable();
+  updateRuleCount();
+}
+
+// Generate a complete typemap spec as accepted by p4 typemap -i
+function generateTypemapSpec(rules = typemapRules) {
+  return `# A Perforce Typemap Specification.\n#\nTypeMap:\n${generateTypemapText(
+    rules
+  )}`;
+}
+
+// Generate typemap text from rules
+function generateTypemapText(rules = typemapRules) {
+  // Sort rules by execution order
+  const sortedRules = [...rules].sort((a, b) => a.order - b.order);
+
+  const lines = [];
+
+  for (const rule of sortedRules) {
+    if (rule.kind === "blank") {
+      lines.push("");
+      continue;
+    }
+
+    if (rule.kind === "comment") {
+      lines.push(`        ${rule.originalLine || `## ${rule.comment}`}`);
+      continue;
+    }
+
+    let line = `        ${rule.filetype} ${formatRulePattern(rule)}`;
+    if (rule.comment && rule.comment.trim()) {
+      line += ` ## ${rule.comment.trim()}`;
+    }
+    lines.push(line);
+  }
+
+  return lines.join("\n");
+}
+
+// Retype assistant state
+const RETYPE_SCAN_LIMIT = 10000;
+const RETYPE_BATCH_SIZE = 100;
+const RETYPE_DISPLAY_LIMIT = 500;
+let retypeCandidates = [];
+let retypeDryRunKey = null;
+
+// Open the retype assistant and scan for files whose head type differs from
+// what the current rules would assign
+async function openRetypeAssistant() {
+  const template = document.getElementById("retypeModalTemplate");
+  const modal = template.cloneNode(true);
+  modal.id = "retypeModal";
+  modal.style.display = "block";
+  document.body.appendChild(modal);
+
+  await scanForRetypeCandidates();
+}
+
+function closeRetypeAssistant() {
+  const modal = document.getElementById("retypeModal");
+  if (modal) {
+    modal.remove();
+  }
+  retypeCandidates = [];
+}
+
+async function scanForRetypeCandidates() {
+  const modal = document.getElementById("retypeModal");
+  if (!modal) return;
+
+  const summary = modal.querySelector("#retypeSummary");
+  const list = modal.querySelector("#retypeList");
+  list.innerHTML = "";
+  modal.querySelector("#retypeReport").textContent = "";
+
+  // Exclusions assign no type, so only mapping rules define what to scan
+  const patterns = [
+    ...new Set(
+      getRulesInExecutionOrder()
+        .filter((rule) => isTypemapRule(rule) && !rule.exclude && rule.pattern)
+        .map((rule) => rule.pattern)
+    ),
+  ];
+
+  const filesByPath = new Map();
+  const limitedPatterns = [];
+
+  try {
+    for (let i = 0; i < patterns.length; i++) {
+      summary.textContent = `Scanning ${patterns[i]} (${i + 1} of ${
+        patterns.length
+      })...`;
+
+      const { files, truncated } = await fetchDepotFiles(
+        patterns[i],
+        RETYPE_SCAN_LIMIT
+      );
+      if (truncated) {
+        limitedPatterns.push(patterns[i]);
+      }
+      files.forEach((file) => filesByPath.set(file.depotFile, file));
+    }
+  } catch (error) {
+    summary.textContent = "Error scanning depot: " + error.message;
+    return;
+  }
+
+  // The editor may have been closed while scanning
+  if (!document.getElementById("retypeModal")) return;
+
+  retypeCandidates = [];
+  retypeDryRunKey = null;
+  const findWinner = createRuleEvaluator();
+  for (const file of filesByPath.values()) {
+    const winner = findWinner(file.depotFile);
+    if (!winner || winner.exclude) continue;
+
+    const targetType = getRetypeTarget(winner.filetype, file.headType);
+    if (!P4FileTypes.areEquivalent(targetType, file.headType)) {
+      retypeCandidates.push({
+        depotFile: file.depotFile,
+        headType: file.headType,
+        targetType,
+        ruleOrder: winner.order,
+      });
+    }
+  }
+  retypeCandidates.sort((a, b) => a.depotFile.localeCompare(b.depotFile));
+
+  let message = `Scanned ${filesByPath.size.toLocaleString()} files: ${retypeCandidates.length.toLocaleString()} differ from the typemap.`;
+  if (hasUnsavedChanges) {
+    message += " Results use your unsaved rules.";
+  }
+  if (limitedPatterns.length > 0) {
+    message += ` Only the first ${RETYPE_SCAN_LIMIT.toLocaleString()} files were scanned for ${limitedPatterns.join(
+      ", "
+    )}.`;
+  }
+  if (retypeCandidates.length > RETYPE_DISPLAY_LIMIT) {
+    message += ` Showing the first ${RETYPE_DISPLAY_LIMIT.toLocaleString()}; retype those and rescan for the rest.`;
+  }
+  summary.textContent = message;
+
+  list.innerHTML = retypeCandidates.length
+    ? `
+        <table class="impact-sample">
+            <thead>
+                <tr>
+                    <th><input type="checkbox" checked onchange="toggleAllRetypeCandidates(this.checked)" title="Select all"></th>
+                    <th>Depot File</th>
+                    <th>Current Type</th>
+                    <th>Typemap Type</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${retypeCandidates
+                  .slice(0, RETYPE_DISPLAY_LIMIT)
+                  .map(
+                    (candidate, index) => `
+                <tr>
+                    <td><input type="checkbox" class="retype-select" data-index="${index}" checked></td>
+                    <td><code>${escapeHtml(candidate.depotFile)}</code></td>
+                    <td><code>${escapeHtml(candidate.headType)}</code></td>
+                    <td><code>${escapeHtml(
+                      candidate.targetType
+                    )}</code> (rule ${candidate.ruleOrder})</td>
+                </tr>`
+                  )
+                  .join("")}
+            </tbody>
+        </table>`
+    : "";
+  updateRetypeRunButton();
+}
+
+function toggleAllRetypeCandidates(checked) {
+  document
+    .querySelectorAll("#retypeModal .retype-select")
+    .forEach((cb) => (cb.checked = checked));
+  updateRetypeRunButton();
+}
+
+// A partial typemap type such as "+l" adds its modifiers to the file's own
+// base type, so "+l" on a binary file means binary+l
+function getRetypeTarget(filetype, headType) {
+  if (!filetype.startsWith("+")) return filetype;
+  return P4FileTypes.canonicalize(P4FileTypes.parse(headType).base + filetype);
+}
+
+// What a dry run covered: the method and every selected file with its type
+function getRetypeRunKey() {
+  const modal = document.getElementById("retypeModal");
+  const method = modal.querySelector(
+    'input[name="retypeMethod"]:checked'
+  ).value;
+  return JSON.stringify([
+    method,
+    getSelectedRetypeCandidates().map((c) => [c.depotFile, c.targetType]),
+  ]);
+}
+
+// Run stays disabled until a dry run has been done for exactly the current
+// selection, method and types
+function updateRetypeRunButton() {
+  const modal = document.getElementById("retypeModal");
+  if (!modal) return;
+
+  const ready =
+    retypeDryRunKey !== null && retypeDryRunKey === getRetypeRunKey();
+  const button = modal.querySelector("#retypeRunButton");
+  button.disabled = !ready;
+  button.title = ready ? "" : "Do a dry run of the current selection first";
+}
+
+function getSelectedRetypeCandidates() {
+  return Array.from(
+    document.querySelectorAll("#retypeModal .retype-select:checked")
+  ).map((cb) => retypeCandidates[Number(cb.dataset.index)]);
+}
+
+// Run the selected retype method, as a preview (-n) when dryRun is set
+async function runRetype(dryRun) {
+  const modal = document.getElementById("retypeModal");
+  if (!modal) return;
+
+  const report = modal.querySelector("#retypeReport");
+  const selected = getSelectedRetypeCandidates();
+  if (selected.length === 0) {
+    report.textContent = "Select at least one file.";
+    return;
+  }
+
+  const method = modal.querySelector(
+    'input[name="retypeMethod"]:checked'
+  ).value;
+  const runKey = getRetypeRunKey();
+
+  if (!dryRun && runKey !== retypeDryRunKey) {
+    report.textContent = "Do a dry run of the current selection first.";
+    updateRetypeRunButton();
+    return;
+  }
+
+  if (
+    !dryRun &&
+    !confirm(
+      method === "retype"
+        ? `Retype ${selected.length} file(s) on the server with p4 retype? This rewrites the stored type of existing revisions.`
+        : `Open ${selected.length} file(s) for edit with their new type in a new pending changelist?`
+    )
+  ) {
+    return;
+  }
+
+  // One command per target type, in batches to keep command lines short
+  const byType = new Map();
+  selected.forEach((candidate) => {
+    if (!byType.has(candidate.targetType)) {
+      byType.set(candidate.targetType, []);
+    }
+    byType.get(candidate.targetType).push(candidate.depotFile);
+  });
+
+  const lines = [dryRun ? "Dry run - nothing will be changed\n" : ""];
+
+  try {
+    let changelist = null;
+    if (method === "edit" && !dryRun) {
+      changelist = await createPendingChangelist(
+        "Retype files to match the server typemap"
+      );
+      lines.push(`Created pending changelist ${changelist}\n`);
+    }
+
+    for (const [filetype, files] of byType) {
+      for (let i = 0; i < files.length; i += RETYPE_BATCH_SIZE) {
+        const batch = files.slice(i, i + RETYPE_BATCH_SIZE);
+        const args =
+          method === "retype"
+            ? ["retype", ...(dryRun ? ["-n"] : []), "-t", filetype, ...batch]
+            : [
+                "edit",
+                ...(dryRun ? ["-n"] : ["-c", changelist]),
+                "-t",
+                filetype,
+                ...batch,
+              ];
+
+        lines.push(
+          `p4 ${args.slice(0, args.length - batch.length).join(" ")} (${
+            batch.length
+          } files)`
+        );
+        const result = await p4vjs.p4(args);
+        lines.push(formatP4Output(result));
+      }
+    }
+
+    // Only a dry run that went through unlocks the real run, and only once
+    retypeDryRunKey = dryRun ? runKey : null;
+    if (!dryRun) {
+      updateStatus(
+        method === "retype"
+          ? "Files retyped"
+          : `Files opened for edit in changelist ${changelist}`
+      );
+      if (typeof p4vjs.refreshAll === "function") {
+        p4vjs.refreshAll();
+      }
+    }
+  } catch (error) {
+    retypeDryRunKey = null;
+    lines.push("Error: " + error.message);
+  }
+
+  report.textContent = lines.filter((line) => line).join("\n");
+  updateRetypeRunButton();
+}
+
+// Create a new pending changelist and return its number
+async function createPendingChangelist(description) {
+  const spec = `Change: new\n\nDescription:\n\t${description
+    .split("\n")
+    .join("\n\t")}\n`;
+
+  const result = await p4vjs.p4(["change", "-i"], spec);
+  if (result.error) {
+    throw new Error(result.error);
+  }
+
+  const created = (result.data || []).find((item) => item && item.change);
+  if (!created) {
+    throw new Error("Could not determine the new changelist number");
+  }
+  return created.change;
+}
+
+// Turn a p4vjs result into readable report lines
+function formatP4Output(result) {
+  const lines = [];
+  (result.data || []).forEach((item) => {
+    if (typeof item === "string") {
+      lines.push(item);
+    } else if (item.depotFile) {
+      lines.push(
+        `${item.depotFile}${item.action ? ` - ${item.action}` : ""}${
+          item.type ? ` (${item.type})` : ""
+        }`
+      );
+    } else {
+      lines.push(JSON.stringify(item));
+    }
+  });
+  if (result.error) {
+    lines.push("Error: " + result.error);
   }
+  return lines.join("\n");
+}
 
-  // Check if one pattern is more specific than the other
-  // This is a simplified check - real implementation would be more sophisticated
+// Extension scan
+// Lists the extensions of files in the selected depots and which of them no
+// rule gives a filetype, so rules can be added for them in one go.
+const EXTENSION_SCAN_LIMIT = 50000;
+const EXTENSION_SCAN_CHUNK_SIZE = 2000;
+let extensionScanResults = [];
 
-  // Check for extension conflicts (same extension, different paths)
-  const ext1 = extractExtension(pattern1);
-  const ext2 = extractExtension(pattern2);
+async function openExtensionScan() {
+  closeExtensionScan();
 
-  if (ext1 && ext2 && ext1 === ext2) {
-    // Same extension - check if one path contains the other
-    const path1 = pattern1.replace(/\.\.\.\./g, "").replace(/\.\.\./g, "");
-    const path2 = pattern2.replace(/\.\.\.\./g, "").replace(/\.\.\./g, "");
+  const template = document.getElementById("extensionScanModalTemplate");
+  const modal = template.cloneNode(true);
+  modal.id = "extensionScanModal";
+  modal.style.display = "block";
+  document.body.appendChild(modal);
 
-    if (path1.includes(path2) || path2.includes(path1)) {
-      return { type: "specificity" };
+  const depotList = modal.querySelector("#extensionScanDepots");
+  try {
+    const result = await p4vjs.p4(["depots"]);
+    if (result.error) {
+      throw new Error(result.error);
     }
-  }
 
-  // Check for broad wildcards
-  if ((pattern1 === "//..." || pattern2 === "//...") && pattern1 !== pattern2) {
-    return { type: "broad_wildcard" };
+    // Spec, unload and archive depots hold no files a typemap applies to
+    const depots = (result.data || []).filter(
+      (depot) =>
+        depot.name && !["spec", "unload", "archive"].includes(depot.type)
+    );
+    depotList.innerHTML = depots
+      .map(
+        (depot) => `
+        <label><input type="checkbox" class="scan-depot" value="${escapeHtml(
+          depot.name
+        )}" checked> //${escapeHtml(depot.name)}</label>`
+      )
+      .join("");
+  } catch (error) {
+    depotList.textContent = "Error listing depots: " + error.message;
   }
+}
 
-  return null;
+function closeExtensionScan() {
+  const modal = document.getElementById("extensionScanModal");
+  if (modal) {
+    modal.remove();
+  }
+  extensionScanResults = [];
 }
 
-// Extract file extension from pattern
-function extractExtension(pattern) {
-  const match = pattern.match(/\.([a-zA-Z0-9]+)$/);
-  return match ? match[1] : null;
+// Extension of a depot file, or "" for names without one such as Makefile
+// On case-insensitive servers .PSD and .psd are one extension, covered by a
+// single rule, so they are grouped in lower case.
+function getFileExtension(depotFile) {
+  const name = depotFile.substring(depotFile.lastIndexOf("/") + 1);
+  const dot = name.lastIndexOf(".");
+  const extension = dot > 0 ? name.substring(dot + 1) : "";
+  return P4Wildcards.caseSensitive ? extension : extension.toLowerCase();
 }
 
-// Save typemap back to Perforce
-async function saveTypemap() {
-  try {
-    updateStatus("Saving typemap...");
+async function scanDepotExtensions() {
+  const modal = document.getElementById("extensionScanModal");
+  if (!modal) return;
 
-    // Convert rules back to typemap format
-    const typemapText = generateTypemapText();
+  const depots = Array.from(modal.querySelectorAll(".scan-depot:checked")).map(
+    (cb) => cb.value
+  );
+  const summary = modal.querySelector("#extensionScanSummary");
+  const list = modal.querySelector("#extensionScanList");
+  list.innerHTML = "";
+  clearExtensionRulePreview();
 
-    // Create form data for p4 typemap -i
-    const formData = `# A Perforce Typemap Specification.\n#\nTypeMap:\n${typemapText}`;
+  if (depots.length === 0) {
+    summary.textContent = "Select at least one depot to scan";
+    return;
+  }
 
-    const result = await p4vjs.p4(["typemap", "-i"], formData);
+  const byExtension = new Map();
+  const limitedDepots = [];
+  const findWinner = createRuleEvaluator();
+  let fileCount = 0;
 
-    if (result.error) {
-      throw new Error(result.error);
-    }
+  try {
+    for (let i = 0; i < depots.length; i++) {
+      const progress = `//${depots[i]}/... (${i + 1} of ${depots.length})`;
+      summary.textContent = `Scanning ${progress}...`;
 
-    updateStatus("Typemap saved successfully");
-    markAsSaved();
+      const { files, truncated } = await fetchDepotFiles(
+        `//${depots[i]}/...`,
+        EXTENSION_SCAN_LIMIT
+      );
+      if (truncated) {
+        limitedDepots.push(`//${depots[i]}`);
+      }
 
-    // Refresh P4V if possible
-    if (typeof p4vjs.refreshAll === "function") {
-      p4vjs.refreshAll();
+      for (let start = 0; start < files.length; start++) {
+        // Let the dialog repaint between chunks of large depots
+        if (start > 0 && start % EXTENSION_SCAN_CHUNK_SIZE === 0) {
+          summary.textContent = `Checking ${progress}: ${start.toLocaleString()} of ${files.length.toLocaleString()} files...`;
+          await new Promise((resolve) => setTimeout(resolve, 0));
+          if (!document.getElementById("extensionScanModal")) return;
+        }
+
+        const file = files[start];
+        const extension = getFileExtension(file.depotFile);
+        if (!byExtension.has(extension)) {
+          byExtension.set(extension, {
+            extension,
+            files: 0,
+            uncovered: 0,
+            headTypes: new Map(),
+            uncoveredTypes: new Map(),
+          });
+        }
+        const entry = byExtension.get(extension);
+        const count = (map) =>
+          map.set(file.headType, (map.get(file.headType) || 0) + 1);
+
+        entry.files++;
+        count(entry.headTypes);
+        const winner = findWinner(file.depotFile);
+        if (!winner || winner.exclude) {
+          entry.uncovered++;
+          count(entry.uncoveredTypes);
+        }
+      }
+      fileCount += files.length;
     }
   } catch (error) {
-    updateStatus("Error saving typemap: " + error.message);
-    alert("Error saving typemap: " + error.message);
+    summary.textContent = "Error scanning depot: " + error.message;
+    return;
+  }
+
+  // The dialog may have been closed while scanning
+  if (!document.getElementById("extensionScanModal")) return;
+
+  const mostCommon = (map) =>
+    [...map.entries()].sort((a, b) => b[1] - a[1]).map(([type]) => type)[0] ||
+    "";
+
+  extensionScanResults = [...byExtension.values()]
+    .map((entry) => ({
+      ...entry,
+      // Prefill new rules with the type the uncovered files already have
+      suggestedType: P4FileTypes.canonicalize(
+        mostCommon(entry.uncoveredTypes) || mostCommon(entry.headTypes)
+      ),
+      recommendation: P4ExtensionTypes.recommend(entry.extension),
+    }))
+    .sort(
+      (a, b) =>
+        b.uncovered - a.uncovered ||
+        b.files - a.files ||
+        a.extension.localeCompare(b.extension)
+    );
+
+  const uncoveredExtensions = extensionScanResults.filter(
+    (entry) => entry.uncovered > 0 && entry.extension
+  );
+  let message = `Scanned ${fileCount.toLocaleString()} files with ${extensionScanResults.length.toLocaleString()} extensions: ${
+    uncoveredExtensions.length
+  } have files no rule gives a filetype.`;
+  if (hasUnsavedChanges) {
+    message += " Results use your unsaved rules.";
   }
+  if (limitedDepots.length > 0) {
+    message += ` Only the first ${EXTENSION_SCAN_LIMIT.toLocaleString()} files were scanned in ${limitedDepots.join(
+      ", "
+    )}.`;
+  }
+  summary.textContent = message;
+
+  const formatTypes = (map) =>
+    [...map.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, count]) => `${escapeHtml(type || "?")} (${count})`)
+      .join(", ");
+
+  list.innerHTML = `
+    <table class="impact-sample">
+        <thead>
+            <tr>
+                <th><input type="checkbox" checked onchange="toggleAllExtensionRules(this.checked)" title="Select all"></th>
+                <th>Extension</th>
+                <th>Files</th>
+                <th>Uncovered</th>
+                <th>Head Types</th>
+                <th>New Rule Filetype</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${extensionScanResults
+              .map((entry, index) => {
+                const canAdd = entry.uncovered > 0 && entry.extension;
+                return `
+                <tr>
+                    <td>${
+                      canAdd
+                        ? `<input type="checkbox" class="extension-select" data-index="${index}" checked>`
+                        : ""
+                    }</td>
+                    <td><code>${
+                      entry.extension
+                        ? `.${escapeHtml(entry.extension)}`
+                        : "(none)"
+                    }</code></td>
+                    <td>${entry.files.toLocaleString()}</td>
+                    <td class="${
+                      entry.uncovered > 0 ? "impact-mismatch" : ""
+                    }">${
+                  entry.uncovered > 0 ? entry.uncovered.toLocaleString() : "-"
+                }</td>
+                    <td>${formatTypes(entry.headTypes)}</td>
+                    <td>${
+                      canAdd
+                        ? `<input type="text" class="extension-filetype" data-index="${index}" value="${escapeHtml(
+                            entry.suggestedType
+                          )}"${
+                            entry.recommendation
+                              ? ` title="Recommended: ${escapeHtml(
+                                  entry.recommendation.filetype
+                                )} - ${escapeHtml(
+                                  entry.recommendation.reason
+                                )}"`
+                              : ""
+                          }>`
+                        : ""
+                    }</td>
+                </tr>`;
+              })
+              .join("")}
+        </tbody>
+    </table>`;
 }
 
-// Generate typemap text from rules
-function generateTypemapText() {
-  // Sort rules by execution order
-  const sortedRules = [...typemapRules].sort((a, b) => a.order - b.order);
+function toggleAllExtensionRules(checked) {
+  document
+    .querySelectorAll("#extensionScanModal .extension-select")
+    .forEach((cb) => (cb.checked = checked));
+}
 
-  const lines = [];
+// Selected extensions with the filetype entered for each, or null after
+// telling the user what is missing
+function getSelectedExtensionRules() {
+  const modal = document.getElementById("extensionScanModal");
+  if (!modal) return null;
+
+  const selected = Array.from(
+    modal.querySelectorAll(".extension-select:checked")
+  ).map((cb) => {
+    const index = cb.dataset.index;
+    const input = modal.querySelector(
+      `.extension-filetype[data-index="${index}"]`
+    );
+    return {
+      extension: extensionScanResults[Number(index)].extension,
+      filetype: P4FileTypes.canonicalize(input.value),
+    };
+  });
 
-  for (const rule of sortedRules) {
-    let line = `        ${rule.filetype} ${rule.pattern}`;
-    if (rule.comment && rule.comment.trim()) {
-      line += ` ## ${rule.comment.trim()}`;
-    }
-    lines.push(line);
+  if (selected.length === 0) {
+    alert("Select at least one extension to add a rule for.");
+    return null;
   }
+  const missing = selected.filter((entry) => !entry.filetype);
+  if (missing.length > 0) {
+    alert(
+      `Enter a filetype for ${missing
+        .map((entry) => `.${entry.extension}`)
+        .join(", ")}.`
+    );
+    return null;
+  }
+  return selected;
+}
 
-  return lines.join("\n");
+// New rules go first, where every later rule and exclusion still wins over
+// them, so they only give a filetype to files no other rule covers
+function previewExtensionRules() {
+  const modal = document.getElementById("extensionScanModal");
+  const selected = getSelectedExtensionRules();
+  if (!modal || !selected) return;
+
+  const existing = getRulesInExecutionOrder().filter(isTypemapRule);
+  const shown = existing.slice(0, 5);
+  const rows = [
+    ...selected.map(
+      (entry, index) => `
+            <tr class="review-added">
+                <td>${index + 1}</td>
+                <td><code>${escapeHtml(entry.filetype)}</code></td>
+                <td><code>//....${escapeHtml(entry.extension)}</code> (new)</td>
+            </tr>`
+    ),
+    ...shown.map(
+      (rule) => `
+            <tr>
+                <td>${rule.order + selected.length}</td>
+                <td><code>${escapeHtml(rule.filetype)}</code></td>
+                <td><code>${escapeHtml(formatRulePattern(rule))}</code></td>
+            </tr>`
+    ),
+  ].join("");
+
+  modal.querySelector("#extensionScanPreview").innerHTML = `
+    <div>The new rules are added at the top, so existing rules and
+    exclusions below them keep taking precedence:</div>
+    <table class="impact-sample">
+        <thead><tr><th>Order</th><th>Filetype</th><th>Pattern</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+    ${
+      existing.length > shown.length
+        ? `<div>... followed by ${
+            existing.length - shown.length
+          } more existing rule(s).</div>`
+        : ""
+    }`;
+  modal.querySelector("#extensionScanApply").style.display = "";
+}
+
+// Changing the selection invalidates the preview
+function clearExtensionRulePreview() {
+  const modal = document.getElementById("extensionScanModal");
+  if (!modal) return;
+
+  modal.querySelector("#extensionScanPreview").innerHTML = "";
+  modal.querySelector("#extensionScanApply").style.display = "none";
+}
+
+// Add a //....ext rule for every selected extension, at the top
+function createExtensionRules() {
+  const selected = getSelectedExtensionRules();
+  if (!selected) return;
+
+  typemapRules.forEach((rule) => {
+    rule.order += selected.length;
+  });
+  selected.forEach((entry, index) => {
+    typemapRules.push(
+      createEntryFromParsed(
+        {
+          filetype: entry.filetype,
+          pattern: `//....${entry.extension}`,
+          exclude: false,
+          comment: "",
+        },
+        index + 1
+      )
+    );
+  });
+  reorderRules();
+
+  closeExtensionScan();
+  markAsChanged();
+  recordHistory(
+    `Add ${selected.length} rule${
+      selected.length === 1 ? "" : "s"
+    } for uncovered extensions`
+  );
+  renderTable();
+  updateRuleCount();
+  updateStatus(
+    `Added ${selected.length} rule(s) for uncovered extensions at the top`
+  );
 }
 
 // Update status message
@@ -1028,8 +5266,24 @@ function updateStatusWithModifiedState() {
 function updateRuleCount() {
   const countElement = document.getElementById("ruleCount");
   if (countElement) {
-    const count = typemapRules.length;
-    countElement.textContent = `${count} rule${count !== 1 ? "s" : ""}`;
+    const count = typemapRules.filter(isTypemapRule).length;
+    const comments = typemapRules.filter((r) => r.kind === "comment").length;
+    countElement.textContent = `${count} rule${count !== 1 ? "s" : ""}${
+      comments > 0 ? `, ${comments} comment${comments !== 1 ? "s" : ""}` : ""
+    }`;
+  }
+
+  updateProblemCount();
+}
+
+function updateProblemCount(typedPatterns = {}) {
+  const problemElement = document.getElementById("problemCount");
+  if (problemElement) {
+    const problems = getRulesWithProblems(typedPatterns).length;
+    problemElement.textContent = `${problems} rule${
+      problems !== 1 ? "s" : ""
+    } with problems`;
+    problemElement.style.display = problems > 0 ? "" : "none";
   }
 }
 
@@ -1077,7 +5331,18 @@ function updateSortHeaders() {
 
 // Enhanced sorting function
 function getSortedRules() {
-  let sortedRules = [...typemapRules];
+  // Comment and blank lines only have a place in execution order
+  let sortedRules =
+    currentSortBy === "order"
+      ? [...typemapRules]
+      : typemapRules.filter(isTypemapRule);
+
+  const filters = getActiveFilters();
+  if (filters) {
+    sortedRules = sortedRules.filter((rule) =>
+      entryMatchesFilters(rule, filters)
+    );
+  }
 
   sortedRules.sort((a, b) => {
     let comparison = 0;
@@ -1105,6 +5370,191 @@ function getSortedRules() {
   return sortedRules;
 }
 
+// Filter bar
+// Filters narrow the rendered rows only; editing, moving and saving still
+// work on the full rule list.
+function getActiveFilters() {
+  const value = (id) => {
+    const element = document.getElementById(id);
+    return element ? element.value : "";
+  };
+
+  const filters = {
+    text: value("filterText").trim().toLowerCase(),
+    baseType: value("filterBaseType"),
+    modifier: value("filterModifier"),
+    conflict: value("filterConflict"),
+    origin: value("filterOrigin"),
+  };
+
+  return Object.values(filters).some(Boolean) ? filters : null;
+}
+
+function entryMatchesFilters(entry, filters) {
+  // Comment lines can only match on their text, blank lines never
+  if (!isTypemapRule(entry)) {
+    return (
+      entry.kind === "comment" &&
+      !!filters.text &&
+      !filters.baseType &&
+      !filters.modifier &&
+      !filters.conflict &&
+      !filters.origin &&
+      entry.comment.toLowerCase().includes(filters.text)
+    );
+  }
+
+  if (filters.text) {
+    const haystack = [
+      formatRulePattern(entry),
+      entry.comment || "",
+      entry.filetype,
+    ]
+      .join("\n")
+      .toLowerCase();
+    if (!haystack.includes(filters.text)) return false;
+  }
+
+  const { base, modifiers } = P4FileTypes.parse(entry.filetype);
+  if (filters.baseType && base !== filters.baseType) return false;
+
+  if (filters.modifier) {
+    // "S" also finds rules keeping a number of revisions, e.g. S10
+    const hasModifier = modifiers.some(
+      (mod) =>
+        mod === filters.modifier ||
+        (filters.modifier === "S" && /^S\d+$/.test(mod))
+    );
+    if (!hasModifier) return false;
+  }
+
+  if (filters.conflict === "problems") {
+    if (getPatternProblems(entry.pattern).length === 0) return false;
+  } else if (filters.conflict) {
+    const hasConflicts = checkRuleConflicts(entry).length > 0;
+    if ((filters.conflict === "conflicts") !== hasConflicts) return false;
+  }
+
+  if (filters.origin === "template" && !entry.fromTemplate) return false;
+  if (filters.origin === "server" && entry.fromTemplate) return false;
+  if (
+    filters.origin.startsWith("template:") &&
+    entry.fromTemplate !== filters.origin.substring("template:".length)
+  ) {
+    return false;
+  }
+
+  return true;
+}
+
+const onFilterChanged = P4Utils.debounce(() => renderTable(), 200);
+
+function clearFilters() {
+  [
+    "filterText",
+    "filterBaseType",
+    "filterModifier",
+    "filterConflict",
+    "filterOrigin",
+  ]
+    .map((id) => document.getElementById(id))
+    .filter(Boolean)
+    .forEach((element) => {
+      element.value = "";
+    });
+  renderTable();
+}
+
+// Fill the filter dropdowns; template origins follow the loaded templates
+function populateFilterOptions() {
+  const fill = (id, options) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+
+    const current = select.value;
+    const first = select.options[0].outerHTML;
+    select.innerHTML =
+      first +
+      options
+        .map(
+          ([value, label]) =>
+            `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`
+        )
+        .join("");
+    select.value = options.some(([value]) => value === current) ? current : "";
+  };
+
+  fill(
+    "filterBaseType",
+    Object.entries(fileTypes).map(([type, info]) => [type, info.label])
+  );
+  fill(
+    "filterModifier",
+    Object.entries(fileModifiers).map(([mod, info]) => [
+      mod,
+      `+${mod} ${info.label}`,
+    ])
+  );
+
+  const templateNames = [
+    ...new Set(
+      typemapRules
+        .map((rule) => rule.fromTemplate)
+        .filter((name) => typeof name === "string")
+    ),
+  ];
+  fill("filterOrigin", [
+    ["server", "Not from a template"],
+    ["template", "Any template"],
+    ...templateNames.map((name) => [
+      `template:${name}`,
+      `Template: ${decodeHtmlEntities(name)}`,
+    ]),
+  ]);
+}
+
+function updateFilterSummary(shown) {
+  const summary = document.getElementById("filterSummary");
+  if (!summary) return;
+
+  const total = typemapRules.filter(isTypemapRule).length;
+  const shownRules = shown.filter(isTypemapRule).length;
+  summary.textContent = getActiveFilters()
+    ? `Showing ${shownRules} of ${total} rules`
+    : "";
+}
+
+// Wrap occurrences of the filter text in <mark>, escaping everything else
+function highlightFilterText(text) {
+  const filters = getActiveFilters();
+  const needle = filters ? filters.text : "";
+  if (!needle) return escapeHtml(text);
+
+  const lower = text.toLowerCase();
+  let html = "";
+  let position = 0;
+  let index = lower.indexOf(needle);
+  while (index !== -1) {
+    html += escapeHtml(text.substring(position, index));
+    html += `<mark>${escapeHtml(
+      text.substring(index, index + needle.length)
+    )}</mark>`;
+    position = index + needle.length;
+    index = lower.indexOf(needle, position);
+  }
+  return html + escapeHtml(text.substring(position));
+}
+
+// Input values cannot hold markup, so matching fields are outlined instead
+function filterHitClass(text) {
+  const filters = getActiveFilters();
+  return filters &&
+    filters.text &&
+    (text || "").toLowerCase().includes(filters.text)
+    ? " filter-hit"
+    : "";
+}
+
 // Column resizing functionality
 function startColumnResize(e, columnIndex) {
   e.preventDefault();
@@ -1202,6 +5652,189 @@ async function loadAvailableTemplates() {
   }
 }
 
+// Validation against TemplateConfig.getValidationRules()
+// Errors block saving or applying a template; warnings can be acknowledged.
+let pendingValidatedAction = null;
+
+// Check rules, and optionally the raw template text, against the configured
+// validation rules. Returns {errors, warnings} as lists of
+// {order, pattern, message}; order is null for problems with the whole text.
+function validateTypemap(rules, content = null) {
+  const config = TemplateConfig.getValidationRules();
+  const report = { errors: [], warnings: [] };
+  // Template rules are not numbered yet; use the order they would apply in
+  const typemapEntries = rules
+    .filter(isTypemapRule)
+    .map((rule, index) => ({ ...rule, order: rule.order || index + 1 }));
+
+  if (content !== null) {
+    (config.requiredSections || []).forEach((section) => {
+      const found = content
+        .split("\n")
+        .some((line) => line.trim() === `${section}:`);
+      if (!found) {
+        report.errors.push({
+          order: null,
+          pattern: "",
+          message: `Missing required "${section}:" section`,
+        });
+      }
+    });
+
+    if (
+      config.allowComments === false &&
+      rules.some((rule) => rule.kind === "comment" || rule.comment)
+    ) {
+      report.errors.push({
+        order: null,
+        pattern: "",
+        message: "Comments are not allowed; remove them and try again",
+      });
+    }
+  }
+
+  if (config.maxRules && typemapEntries.length > config.maxRules) {
+    report.errors.push({
+      order: null,
+      pattern: "",
+      message: `${typemapEntries.length} rules exceed the limit of ${config.maxRules}`,
+    });
+  }
+
+  typemapEntries.forEach((rule) => {
+    const order = rule.order;
+    const pattern = formatRulePattern(rule);
+    const add = (list, message) => list.push({ order, pattern, message });
+    const { base, modifiers } = P4FileTypes.parse(rule.filetype);
+
+    if (!rule.filetype) {
+      add(report.errors, "Filetype is missing");
+    } else if (
+      base &&
+      config.allowedFileTypes &&
+      !config.allowedFileTypes.includes(base)
+    ) {
+      add(report.errors, `Filetype "${base}" is not allowed`);
+    }
+
+    if (config.allowedModifiers) {
+      modifiers
+        .filter(
+          (mod) => !config.allowedModifiers.includes(mod.replace(/\d+$/, ""))
+        )
+        .forEach((mod) =>
+          add(report.errors, `Modifier "+${mod}" is not allowed`)
+        );
+    }
+
+    if (
+      config.depotPathPattern &&
+      !config.depotPathPattern.test(rule.pattern)
+    ) {
+      add(report.errors, `Depot path "${rule.pattern}" is not valid`);
+    }
+  });
+
+  // Lint findings block or warn according to their configured severity;
+  // info findings only show in the lint panel
+  lintTypemap(typemapEntries).forEach(({ severity, rule, message }) => {
+    const list = { error: report.errors, warning: report.warnings }[severity];
+    if (list) {
+      list.push({
+        order: rule.order,
+        pattern: formatRulePattern(rule),
+        message,
+      });
+    }
+  });
+  const byOrder = (a, b) => (a.order || 0) - (b.order || 0);
+  report.errors.sort(byOrder);
+  report.warnings.sort(byOrder);
+
+  return report;
+}
+
+// Run an action once the report allows it: straight away when it is clean,
+// otherwise after the warnings have been acknowledged. Errors block it.
+function runIfValid(report, title, action) {
+  if (report.errors.length === 0 && report.warnings.length === 0) {
+    return action();
+  }
+  showValidationReport(report, title, action);
+}
+
+function showValidationReport(report, title, action) {
+  closeValidationReport();
+
+  const template = document.getElementById("validationModalTemplate");
+  const modal = template.cloneNode(true);
+  modal.id = "validationModal";
+  modal.style.display = "block";
+
+  const blocked = report.errors.length > 0;
+  const renderList = (items, className) =>
+    items
+      .map(
+        (item) => `
+        <li class="${className}">
+            ${
+              item.order !== null
+                ? `<strong>Rule ${item.order}</strong> <code>${escapeHtml(
+                    item.pattern
+                  )}</code>: `
+                : ""
+            }${escapeHtml(item.message)}
+        </li>`
+      )
+      .join("");
+
+  modal.querySelector("#validationTitle").textContent = title;
+  modal.querySelector("#validationReport").innerHTML = `
+    <p>${
+      blocked
+        ? `Found ${report.errors.length} error(s) that must be fixed first.`
+        : `Found ${report.warnings.length} warning(s). Review them before continuing.`
+    }</p>
+    <ul class="validation-list">
+        ${renderList(report.errors, "validation-error")}
+        ${renderList(report.warnings, "validation-warning")}
+    </ul>`;
+
+  const continueButton = modal.querySelector("#validationContinue");
+  if (blocked) {
+    continueButton.style.display = "none";
+  }
+
+  pendingValidatedAction = blocked ? null : action;
+  document.body.appendChild(modal);
+  updateStatus(
+    blocked
+      ? `${title}: ${report.errors.length} validation error(s)`
+      : `${title}: ${report.warnings.length} validation warning(s)`
+  );
+}
+
+function closeValidationReport() {
+  const modal = document.getElementById("validationModal");
+  if (modal) {
+    modal.remove();
+  }
+}
+
+function cancelValidationReport() {
+  pendingValidatedAction = null;
+  closeValidationReport();
+}
+
+function acknowledgeValidationReport() {
+  const action = pendingValidatedAction;
+  pendingValidatedAction = null;
+  closeValidationReport();
+  if (action) {
+    action();
+  }
+}
+
 // Get predefined template URLs from configuration
 function getTemplateUrls() {
   return TemplateConfig.getTemplateUrls();
@@ -1280,22 +5913,35 @@ async function loadSelectedTemplate() {
     // Parse the template
     const templateRules = parseTemplateContent(templateContent);
 
-    // Merge with existing rules
-    const mergeResult = mergeTemplateRules(templateRules);
+    const applyTemplate = () => {
+      // Merge with existing rules
+      const mergeResult = mergeTemplateRules(templateRules, template.name);
 
-    // Update UI
-    renderTable();
-    updateRuleCount();
-    markAsChanged();
+      // Update UI
+      renderTable();
+      updateRuleCount();
+      markAsChanged();
+      recordHistory(`Apply template ${decodeHtmlEntities(template.name)}`);
 
-    // Show results
-    showTemplateLoadResults(template.name, mergeResult);
+      // Show results
+      showTemplateLoadResults(template.name, mergeResult);
 
-    // Reset dropdown
-    select.selectedIndex = 0;
-    onTemplateSelected();
+      // Reset dropdown
+      select.selectedIndex = 0;
+      onTemplateSelected();
 
-    updateStatus("Template loaded");
+      updateStatus("Template loaded");
+    };
+
+    if (TemplateConfig.getDefaultSettings().validateBeforeApply) {
+      runIfValid(
+        validateTypemap(templateRules, templateContent),
+        `Template "${decodeHtmlEntities(template.name)}"`,
+        applyTemplate
+      );
+    } else {
+      applyTemplate();
+    }
   } catch (error) {
     updateStatus("Error loading template: " + error.message);
     alert("Error loading template: " + error.message);
@@ -1312,15 +5958,32 @@ function loadUrlWithXHR(url) {
   return P4Utils.loadUrlWithXHR(url);
 }
 
-function parseTemplateContent(content) {
+// Lines that cannot be parsed are skipped; pass an array as errors to
+// collect them as {line, message} with 1-based line numbers
+function parseTemplateContent(content, errors = null) {
   const rules = [];
   const lines = content.split("\n");
 
   let inTypeMapSection = false;
 
-  for (const line of lines) {
+  for (const [index, line] of lines.entries()) {
     const trimmedLine = line.trim();
 
+    // Keep blank lines and indented "##" comments inside the TypeMap section
+    if (inTypeMapSection && !trimmedLine) {
+      rules.push({ kind: "blank", comment: "", originalLine: "" });
+      continue;
+    }
+
+    if (inTypeMapSection && /^\s/.test(line) && trimmedLine.startsWith("##")) {
+      rules.push({
+        kind: "comment",
+        comment: trimmedLine.replace(/^##\s*/, ""),
+        originalLine: trimmedLine,
+      });
+      continue;
+    }
+
     // Skip empty lines and comments that are on their own line
     if (!trimmedLine || trimmedLine.startsWith("#")) {
       continue;
@@ -1341,11 +6004,6 @@ function parseTemplateContent(content) {
     // Remove leading whitespace
     const workingLine = trimmedLine;
 
-    // Skip comment-only lines
-    if (workingLine.startsWith("##")) {
-      continue;
-    }
-
     // Parse line: "filetype pattern ## comment"
     const commentIndex = workingLine.indexOf("##");
     let ruleText =
@@ -1359,20 +6017,47 @@ function parseTemplateContent(content) {
     const parts = ruleText.split(/\s+/);
     if (parts.length >= 2) {
       const filetype = parts[0];
-      const pattern = parts.slice(1).join(" "); // In case pattern has spaces
+      // In case pattern has spaces; a leading "-" marks an exclusion
+      const { pattern, exclude } = parsePatternInput(parts.slice(1).join(" "));
 
       rules.push({
         filetype: filetype,
         pattern: pattern,
+        exclude: exclude,
         comment: comment,
       });
+
+      if (errors && !pattern.startsWith("//")) {
+        errors.push({
+          line: index + 1,
+          message: `Depot path "${pattern}" should start with //`,
+        });
+      }
+    } else if (errors) {
+      errors.push({
+        line: index + 1,
+        message: `Expected a filetype followed by a depot path: "${trimmedLine}"`,
+      });
     }
   }
 
+  if (errors && !inTypeMapSection) {
+    errors.push({
+      line: 1,
+      message:
+        'No "TypeMap:" field found - expected the output of p4 typemap -o',
+    });
+  }
+
+  // Blank lines at the end of the file are not part of the typemap
+  while (rules.length > 0 && rules[rules.length - 1].kind === "blank") {
+    rules.pop();
+  }
+
   return rules;
 }
 
-function mergeTemplateRules(templateRules) {
+function mergeTemplateRules(templateRules, templateName = "") {
   const result = {
     added: [],
     skipped: [],
@@ -1380,7 +6065,15 @@ function mergeTemplateRules(templateRules) {
   };
 
   for (const templateRule of templateRules) {
-    const existingRule = findExistingRule(templateRule.pattern);
+    // Section comments only make sense in the template's own layout
+    if (!isTypemapRule(templateRule)) {
+      continue;
+    }
+
+    const existingRule = findExistingRule(
+      templateRule.pattern,
+      templateRule.exclude
+    );
 
     if (!existingRule) {
       // No existing rule for this pattern - add it
@@ -1389,14 +6082,17 @@ function mergeTemplateRules(templateRules) {
         order: typemapRules.length + 1,
         filetype: templateRule.filetype,
         pattern: templateRule.pattern,
+        exclude: !!templateRule.exclude,
         comment: templateRule.comment || "",
         originalLine: "",
-        fromTemplate: true,
+        fromTemplate: templateName || true,
       };
 
       typemapRules.push(newRule);
       result.added.push(templateRule);
-    } else if (existingRule.filetype === templateRule.filetype) {
+    } else if (
+      P4FileTypes.areEquivalent(existingRule.filetype, templateRule.filetype)
+    ) {
       // Same pattern and filetype - skip
       result.skipped.push({
         ...templateRule,
@@ -1409,9 +6105,10 @@ function mergeTemplateRules(templateRules) {
         order: typemapRules.length + 1,
         filetype: templateRule.filetype,
         pattern: templateRule.pattern,
+        exclude: !!templateRule.exclude,
         comment: templateRule.comment || "",
         originalLine: "",
-        fromTemplate: true,
+        fromTemplate: templateName || true,
       };
 
       typemapRules.push(conflictRule);
@@ -1429,8 +6126,13 @@ function mergeTemplateRules(templateRules) {
   return result;
 }
 
-function findExistingRule(pattern) {
-  return typemapRules.find((rule) => rule.pattern === pattern);
+function findExistingRule(pattern, exclude = false) {
+  return typemapRules.find(
+    (rule) =>
+      isTypemapRule(rule) &&
+      rule.pattern === pattern &&
+      !!rule.exclude === !!exclude
+  );
 }
 
 function showTemplateLoadResults(templateName, mergeResult) {
@@ -1461,7 +6163,7 @@ function showTemplateLoadResults(templateName, mergeResult) {
     message += `⚠️ Added ${conflicts.length} conflicting rules (marked as conflicts)\n`;
     message += "\nConflicts:\n";
     conflicts.forEach((conflict) => {
-      message += `• ${decodeHtmlEntities(conflict.pattern)}: ${
+      message += `• ${decodeHtmlEntities(formatRulePattern(conflict))}: ${
         conflict.existingFiletype
       } → ${conflict.newFiletype}\n`;
     });
@@ -1517,9 +6219,64 @@ document.addEventListener("click", function (e) {
   }
 });
 
+// Ctrl+Z / Ctrl+Y for undo and redo, leaving text fields their own undo
+document.addEventListener("keydown", function (e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (e.target.matches && e.target.matches("input, textarea, select")) return;
+
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if (key === "y" || (key === "z" && e.shiftKey)) {
+    e.preventDefault();
+    redo();
+  }
+});
+
 // Handle escape key to cancel editing or close modals
 document.addEventListener("keydown", function (e) {
   if (e.key === "Escape") {
+    if (document.getElementById("retypeModal")) {
+      closeRetypeAssistant();
+      return;
+    }
+
+    if (document.getElementById("saveReviewModal")) {
+      closeSaveReview();
+      return;
+    }
+
+    if (document.getElementById("mergeModal")) {
+      closeMergeDialog();
+      return;
+    }
+
+    if (document.getElementById("bulkEditModal")) {
+      closeBulkEdit();
+      return;
+    }
+
+    if (document.getElementById("snapshotModal")) {
+      closeSnapshotHistory();
+      return;
+    }
+
+    if (document.getElementById("pasteModal")) {
+      closePasteDialog();
+      return;
+    }
+
+    if (document.getElementById("importModal")) {
+      closeImportDialog();
+      return;
+    }
+
+    if (document.getElementById("exportModal")) {
+      closeExportDialog();
+      return;
+    }
+
     // Close template results modal if open
     const templateModal = document.getElementById("templateResultsModal");
     if (templateModal) {
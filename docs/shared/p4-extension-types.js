@@ -0,0 +1,210 @@
+"use strict";
+
+/**
+ * Recommended Perforce filetypes for common file extensions
+ *
+ * A small knowledge base covering game engines, DCC tools, images, audio,
+ * video, office documents, archives, binaries and source code. Each entry
+ * gives a filetype and the reason for it, so tools can explain a suggestion
+ * instead of just applying it:
+ * - "+l" for files that cannot be merged, so only one person edits them
+ * - "+F" for formats that are already compressed, so the server does not
+ *   spend time compressing them again
+ * - "+w" for build outputs that tools overwrite in place
+ * - "+x" for scripts that need the executable bit
+ */
+
+const P4ExtensionTypes = {
+  categories: {
+    engine: "Game engine",
+    dcc: "3D / DCC tool",
+    image: "Image",
+    audio: "Audio",
+    video: "Video",
+    office: "Office document",
+    archive: "Archive",
+    build: "Build output",
+    font: "Font",
+    source: "Source / text",
+    script: "Script",
+  },
+
+  // Shared reasons, referenced by the extension table below
+  reasons: {
+    unmergeable:
+      "Binary format that cannot be merged, so +l lets only one person edit it at a time",
+    compressed:
+      "Already compressed and cannot be merged: +F skips recompressing on the server, +l prevents conflicting edits",
+    asciiScene:
+      "Text-based, but too large and structured to merge by hand, so +l prevents conflicting edits",
+    archive: "Already compressed, so +F skips recompressing on the server",
+    buildOutput:
+      "Written by build tools in place, so +w keeps it writable in the workspace",
+    font: "Binary font files are rarely changed and cannot be merged",
+    source: "Plain text that Perforce can diff and merge",
+    script: "Plain text that needs the executable bit on Unix, so +x sets it",
+  },
+
+  extensions: {
+    // Game engines
+    uasset: { filetype: "binary+l", category: "engine", reason: "unmergeable" },
+    umap: { filetype: "binary+l", category: "engine", reason: "unmergeable" },
+    upk: { filetype: "binary+l", category: "engine", reason: "unmergeable" },
+    udk: { filetype: "binary+l", category: "engine", reason: "unmergeable" },
+    bank: { filetype: "binary+l", category: "engine", reason: "unmergeable" },
+
+    // DCC tools
+    fbx: { filetype: "binary+l", category: "dcc", reason: "unmergeable" },
+    obj: { filetype: "binary+l", category: "dcc", reason: "unmergeable" },
+    blend: { filetype: "binary+l", category: "dcc", reason: "unmergeable" },
+    max: { filetype: "binary+l", category: "dcc", reason: "unmergeable" },
+    mb: { filetype: "binary+l", category: "dcc", reason: "unmergeable" },
+    ma: { filetype: "text+l", category: "dcc", reason: "asciiScene" },
+    c4d: { filetype: "binary+l", category: "dcc", reason: "unmergeable" },
+    "3ds": { filetype: "binary+l", category: "dcc", reason: "unmergeable" },
+    abc: { filetype: "binary+l", category: "dcc", reason: "unmergeable" },
+    usd: { filetype: "binary+l", category: "dcc", reason: "unmergeable" },
+    usdz: { filetype: "binary+Fl", category: "dcc", reason: "compressed" },
+    ztl: { filetype: "binary+l", category: "dcc", reason: "unmergeable" },
+    spp: { filetype: "binary+l", category: "dcc", reason: "unmergeable" },
+    sbs: { filetype: "text+l", category: "dcc", reason: "asciiScene" },
+    sbsar: { filetype: "binary+l", category: "dcc", reason: "unmergeable" },
+    hip: { filetype: "binary+l", category: "dcc", reason: "unmergeable" },
+
+    // Images
+    psd: { filetype: "binary+l", category: "image", reason: "unmergeable" },
+    psb: { filetype: "binary+l", category: "image", reason: "unmergeable" },
+    tga: { filetype: "binary+l", category: "image", reason: "unmergeable" },
+    tif: { filetype: "binary+l", category: "image", reason: "unmergeable" },
+    tiff: { filetype: "binary+l", category: "image", reason: "unmergeable" },
+    bmp: { filetype: "binary+l", category: "image", reason: "unmergeable" },
+    exr: { filetype: "binary+l", category: "image", reason: "unmergeable" },
+    hdr: { filetype: "binary+l", category: "image", reason: "unmergeable" },
+    dds: { filetype: "binary+l", category: "image", reason: "unmergeable" },
+    kra: { filetype: "binary+l", category: "image", reason: "unmergeable" },
+    xcf: { filetype: "binary+l", category: "image", reason: "unmergeable" },
+    ai: { filetype: "binary+l", category: "image", reason: "unmergeable" },
+    png: { filetype: "binary+Fl", category: "image", reason: "compressed" },
+    jpg: { filetype: "binary+Fl", category: "image", reason: "compressed" },
+    jpeg: { filetype: "binary+Fl", category: "image", reason: "compressed" },
+    gif: { filetype: "binary+Fl", category: "image", reason: "compressed" },
+
+    // Audio
+    wav: { filetype: "binary+l", category: "audio", reason: "unmergeable" },
+    aif: { filetype: "binary+l", category: "audio", reason: "unmergeable" },
+    aiff: { filetype: "binary+l", category: "audio", reason: "unmergeable" },
+    wem: { filetype: "binary+l", category: "audio", reason: "unmergeable" },
+    mp3: { filetype: "binary+Fl", category: "audio", reason: "compressed" },
+    ogg: { filetype: "binary+Fl", category: "audio", reason: "compressed" },
+    flac: { filetype: "binary+Fl", category: "audio", reason: "compressed" },
+    m4a: { filetype: "binary+Fl", category: "audio", reason: "compressed" },
+
+    // Video
+    mp4: { filetype: "binary+Fl", category: "video", reason: "compressed" },
+    mov: { filetype: "binary+Fl", category: "video", reason: "compressed" },
+    avi: { filetype: "binary+Fl", category: "video", reason: "compressed" },
+    mkv: { filetype: "binary+Fl", category: "video", reason: "compressed" },
+    webm: { filetype: "binary+Fl", category: "video", reason: "compressed" },
+
+    // Office documents
+    doc: { filetype: "binary+l", category: "office", reason: "unmergeable" },
+    xls: { filetype: "binary+l", category: "office", reason: "unmergeable" },
+    ppt: { filetype: "binary+l", category: "office", reason: "unmergeable" },
+    pdf: { filetype: "binary+l", category: "office", reason: "unmergeable" },
+    docx: { filetype: "binary+Fl", category: "office", reason: "compressed" },
+    xlsx: { filetype: "binary+Fl", category: "office", reason: "compressed" },
+    pptx: { filetype: "binary+Fl", category: "office", reason: "compressed" },
+    odt: { filetype: "binary+Fl", category: "office", reason: "compressed" },
+    ods: { filetype: "binary+Fl", category: "office", reason: "compressed" },
+
+    // Archives
+    zip: { filetype: "binary+F", category: "archive", reason: "archive" },
+    "7z": { filetype: "binary+F", category: "archive", reason: "archive" },
+    rar: { filetype: "binary+F", category: "archive", reason: "archive" },
+    gz: { filetype: "binary+F", category: "archive", reason: "archive" },
+
+    // Build outputs
+    exe: { filetype: "binary+w", category: "build", reason: "buildOutput" },
+    dll: { filetype: "binary+w", category: "build", reason: "buildOutput" },
+    so: { filetype: "binary+w", category: "build", reason: "buildOutput" },
+    dylib: { filetype: "binary+w", category: "build", reason: "buildOutput" },
+    lib: { filetype: "binary+w", category: "build", reason: "buildOutput" },
+    pdb: { filetype: "binary+w", category: "build", reason: "buildOutput" },
+
+    // Fonts
+    ttf: { filetype: "binary", category: "font", reason: "font" },
+    otf: { filetype: "binary", category: "font", reason: "font" },
+
+    // Source and text
+    c: { filetype: "text", category: "source", reason: "source" },
+    cpp: { filetype: "text", category: "source", reason: "source" },
+    h: { filetype: "text", category: "source", reason: "source" },
+    hpp: { filetype: "text", category: "source", reason: "source" },
+    cs: { filetype: "text", category: "source", reason: "source" },
+    java: { filetype: "text", category: "source", reason: "source" },
+    js: { filetype: "text", category: "source", reason: "source" },
+    ts: { filetype: "text", category: "source", reason: "source" },
+    hlsl: { filetype: "text", category: "source", reason: "source" },
+    glsl: { filetype: "text", category: "source", reason: "source" },
+    json: { filetype: "text", category: "source", reason: "source" },
+    xml: { filetype: "text", category: "source", reason: "source" },
+    yaml: { filetype: "text", category: "source", reason: "source" },
+    yml: { filetype: "text", category: "source", reason: "source" },
+    ini: { filetype: "text", category: "source", reason: "source" },
+    md: { filetype: "text", category: "source", reason: "source" },
+    txt: { filetype: "text", category: "source", reason: "source" },
+
+    // Scripts
+    sh: { filetype: "text+x", category: "script", reason: "script" },
+    py: { filetype: "text+x", category: "script", reason: "script" },
+    pl: { filetype: "text+x", category: "script", reason: "script" },
+  },
+
+  /**
+   * Get the file extension a depot path pattern is restricted to
+   * @param {string} pattern - Depot path pattern, e.g. "//....fbx"
+   * @returns {string|null} Lowercase extension without the dot, or null if
+   *   the pattern does not end in a fixed extension
+   */
+  extensionOf(pattern) {
+    const match = (pattern || "").match(/\.([A-Za-z0-9]+)$/);
+    return match ? match[1].toLowerCase() : null;
+  },
+
+  /**
+   * Look up the recommended filetype for an extension
+   * @param {string} extension - Extension without the dot, any case
+   * @returns {{extension: string, filetype: string, category: string, reason: string}|null}
+   *   Recommendation with readable category and reason, or null if unknown
+   */
+  recommend(extension) {
+    const key = (extension || "").toLowerCase();
+    const entry = Object.prototype.hasOwnProperty.call(this.extensions, key)
+      ? this.extensions[key]
+      : null;
+    if (!entry) return null;
+
+    return {
+      extension: key,
+      filetype: entry.filetype,
+      category: this.categories[entry.category],
+      reason: this.reasons[entry.reason],
+    };
+  },
+
+  /**
+   * Look up the recommended filetype for a depot path pattern
+   * @param {string} pattern - Depot path pattern, e.g. "//depot/art/....psd"
+   * @returns {Object|null} Recommendation as returned by recommend()
+   */
+  recommendForPattern(pattern) {
+    return this.recommend(this.extensionOf(pattern));
+  },
+};
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = P4ExtensionTypes;
+} else if (typeof window !== "undefined") {
+  window.P4ExtensionTypes = P4ExtensionTypes;
+}
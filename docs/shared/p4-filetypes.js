@@ -0,0 +1,140 @@
+"use strict";
+
+/**
+ * Perforce filetype model
+ *
+ * Parses filetype strings such as "binary+lS2w" into a base type and a set
+ * of modifiers, and writes them back in one canonical spelling:
+ * - legacy aliases such as "ctext" are replaced by their modern form
+ * - modifiers are listed once, storage modifiers first ("C", "D", "F",
+ *   "S<n>", "X") followed by the lowercase ones in alphabetical order
+ * - "+S1" is written as "+S"
+ *
+ * Partial filetypes such as "+l" have an empty base type.
+ */
+
+const P4FileTypes = {
+  /**
+   * Filetypes from before modifiers existed, still accepted by the server
+   * Each maps to the modern base type and modifiers it stands for.
+   */
+  legacyAliases: {
+    ctempobj: "binary+Sw",
+    ctext: "text+C",
+    cxtext: "text+Cx",
+    ktext: "text+k",
+    kxtext: "text+kx",
+    ltext: "text+F",
+    tempobj: "binary+FSw",
+    ubinary: "binary+F",
+    uresource: "resource+F",
+    uxbinary: "binary+Fx",
+    xbinary: "binary+x",
+    xltext: "text+Fx",
+    xtempobj: "binary+Swx",
+    xtext: "text+x",
+    xunicode: "unicode+x",
+    xutf16: "utf16+x",
+  },
+
+  // Canonical modifier order; "S" stands for every "S<n>"
+  modifierOrder: ["C", "D", "F", "S", "X", "k", "ko", "l", "m", "w", "x"],
+
+  /**
+   * Split a modifier string into individual modifiers
+   * @param {string} modifierString - Text after the "+", e.g. "lS2w"
+   * @returns {string[]} Modifiers in written order, e.g. ["l", "S2", "w"]
+   */
+  splitModifiers(modifierString) {
+    return (modifierString || "").match(/ko|S\d*|./g) || [];
+  },
+
+  /**
+   * Parse a filetype into its base type and modifiers
+   * Legacy aliases are resolved and the modifiers deduplicated and sorted
+   * into canonical order.
+   * @param {string} filetype - Filetype as written in the typemap
+   * @returns {{base: string, modifiers: string[], alias: string|null}}
+   *   Base type (empty for partial filetypes), canonical modifiers, and the
+   *   legacy alias that was resolved, if any
+   */
+  parse(filetype) {
+    // "binary+k+l" is valid too, so every segment after the base counts
+    let [base, ...segments] = (filetype || "").trim().split("+");
+    let modifierString = segments.join("");
+    let alias = null;
+
+    const aliased = this.legacyAliases[base];
+    if (aliased) {
+      alias = base;
+      const [aliasBase, aliasModifiers] = aliased.split("+");
+      base = aliasBase;
+      modifierString = aliasModifiers + modifierString;
+    }
+
+    // The last S<n> wins and +S1 is the same as +S
+    const unique = [];
+    this.splitModifiers(modifierString).forEach((modifier) => {
+      let normalized = modifier;
+      if (/^S\d*$/.test(modifier)) {
+        normalized = modifier === "S1" ? "S" : modifier;
+        const previous = unique.findIndex((m) => /^S\d*$/.test(m));
+        if (previous !== -1) unique.splice(previous, 1);
+      }
+      if (!unique.includes(normalized)) {
+        unique.push(normalized);
+      }
+    });
+
+    // Unknown modifiers keep their relative order after the known ones
+    const rank = (modifier) => {
+      const index = this.modifierOrder.indexOf(
+        /^S\d*$/.test(modifier) ? "S" : modifier
+      );
+      return index === -1 ? this.modifierOrder.length : index;
+    };
+    const modifiers = unique
+      .map((modifier, index) => ({ modifier, index }))
+      .sort((a, b) => rank(a.modifier) - rank(b.modifier) || a.index - b.index)
+      .map((entry) => entry.modifier);
+
+    return { base, modifiers, alias };
+  },
+
+  /**
+   * Write a parsed filetype back as a string
+   * @param {{base: string, modifiers: string[]}} parsed - Base type and modifiers
+   * @returns {string} Filetype such as "binary+lw", or "+l" for partial types
+   */
+  format(parsed) {
+    return parsed.modifiers.length > 0
+      ? `${parsed.base}+${parsed.modifiers.join("")}`
+      : parsed.base;
+  },
+
+  /**
+   * Spell a filetype in canonical form
+   * @param {string} filetype - Filetype as written
+   * @returns {string} Canonical filetype, e.g. "binary+Swx" for "xtempobj"
+   */
+  canonicalize(filetype) {
+    return this.format(this.parse(filetype));
+  },
+
+  /**
+   * Check whether two filetypes mean the same thing
+   * @param {string} filetype1 - First filetype
+   * @param {string} filetype2 - Second filetype
+   * @returns {boolean} True if both have the same canonical form
+   */
+  areEquivalent(filetype1, filetype2) {
+    return this.canonicalize(filetype1) === this.canonicalize(filetype2);
+  },
+};
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = P4FileTypes;
+} else if (typeof window !== "undefined") {
+  window.P4FileTypes = P4FileTypes;
+}
@@ -313,6 +313,186 @@ const P4Utils = {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
   },
 
+  /**
+   * Compute a line-level diff between two texts
+   * Uses a longest common subsequence, so moved lines show up as a removal
+   * and an addition.
+   * @param {string[]} oldLines - Lines of the original text
+   * @param {string[]} newLines - Lines of the changed text
+   * @returns {Array<{type: string, text: string}>} Diff entries of type "same", "removed" or "added"
+   */
+  diffLines(oldLines, newLines) {
+    const rows = oldLines.length;
+    const cols = newLines.length;
+
+    // lengths[i][j] is the LCS length of oldLines[i..] and newLines[j..]
+    const lengths = Array.from({ length: rows + 1 }, () =>
+      new Array(cols + 1).fill(0)
+    );
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lengths[i][j] =
+          oldLines[i] === newLines[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (oldLines[i] === newLines[j]) {
+        diff.push({ type: "same", text: oldLines[i] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        diff.push({ type: "removed", text: oldLines[i] });
+        i++;
+      } else {
+        diff.push({ type: "added", text: newLines[j] });
+        j++;
+      }
+    }
+    while (i < rows) {
+      diff.push({ type: "removed", text: oldLines[i++] });
+    }
+    while (j < cols) {
+      diff.push({ type: "added", text: newLines[j++] });
+    }
+
+    return diff;
+  },
+
+  /**
+   * Format rows as CSV text
+   * Cells containing commas, quotes or line breaks are quoted.
+   * @param {Array<Array<*>>} rows - Rows of cell values
+   * @returns {string} CSV text with CRLF line endings
+   */
+  toCsv(rows) {
+    const formatCell = (value) => {
+      const text = value === null || value === undefined ? "" : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map((row) => row.map(formatCell).join(",")).join("\r\n");
+  },
+
+  /**
+   * Parse CSV text into rows
+   * Supports quoted cells with embedded commas, quotes and line breaks.
+   * Empty lines are skipped.
+   * @param {string} text - CSV text
+   * @returns {{rows: Array<{line: number, cells: string[]}>, errors: Array<{line: number, message: string}>}}
+   *   Rows with the line number they start on, and any parse errors
+   */
+  parseCsv(text) {
+    const rows = [];
+    const errors = [];
+
+    let cells = [];
+    let cell = "";
+    let line = 1;
+    let rowLine = 1;
+    let inQuotes = false;
+    let quoteLine = 0;
+
+    const endRow = () => {
+      cells.push(cell);
+      if (cells.length > 1 || cells[0].trim() !== "") {
+        rows.push({ line: rowLine, cells });
+      }
+      cells = [];
+      cell = "";
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          if (char === "\n") line++;
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+        quoteLine = line;
+      } else if (char === ",") {
+        cells.push(cell);
+        cell = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        endRow();
+        line++;
+        rowLine = line;
+      } else {
+        cell += char;
+      }
+    }
+
+    if (inQuotes) {
+      errors.push({ line: quoteLine, message: "Unterminated quoted value" });
+    }
+    endRow();
+
+    return { rows, errors };
+  },
+
+  /**
+   * Copy text to the clipboard
+   * Falls back to a hidden textarea where the Clipboard API is unavailable,
+   * as in some embedded browsers.
+   * @param {string} text - Text to copy
+   * @returns {Promise<boolean>} True if the text was copied
+   */
+  async copyToClipboard(text) {
+    if (typeof navigator !== "undefined" && navigator.clipboard) {
+      try {
+        await navigator.clipboard.writeText(text);
+        return true;
+      } catch (error) {
+        console.warn("Clipboard API failed, using fallback:", error);
+      }
+    }
+
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.style.position = "fixed";
+    textarea.style.opacity = "0";
+    document.body.appendChild(textarea);
+    textarea.select();
+    let copied = false;
+    try {
+      copied = document.execCommand("copy");
+    } catch (error) {
+      console.warn("Copy command failed:", error);
+    }
+    textarea.remove();
+    return copied;
+  },
+
+  /**
+   * Offer text as a file download
+   * @param {string} filename - Suggested file name
+   * @param {string} text - File content
+   * @param {string} mimeType - MIME type of the content
+   */
+  downloadText(filename, text, mimeType = "text/plain") {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
   /**
    * Validate depot path pattern
    * @param {string} pattern - Depot path pattern to validate
@@ -0,0 +1,363 @@
+"use strict";
+
+/**
+ * Perforce wildcard matching for depot path patterns
+ *
+ * Understands the three wildcards Perforce accepts in depot syntax:
+ * - "..." matches any characters, including slashes
+ * - "*" matches any characters within a single directory level
+ * - "%%1" to "%%9" positional wildcards, which match like "*"
+ *
+ * Besides matching a path against a pattern, two or more patterns can be
+ * compared to decide whether they intersect or one contains the other.
+ * Patterns are treated as automata, so the comparisons are exact and every
+ * positive answer comes with a concrete example path.
+ *
+ * Matching is case-sensitive by default; call setCaseSensitive(false) for
+ * servers that handle case insensitively.
+ */
+
+const P4Wildcards = {
+  // Compiled patterns and pattern comparisons are cached because conflict
+  // detection compares every rule against every later rule on each render
+  _tokenCache: new Map(),
+  _regexCache: new Map(),
+  _compareCache: new Map(),
+  caseSensitive: true,
+
+  /**
+   * Choose whether patterns match case-sensitively, like the server does
+   * @param {boolean} caseSensitive - False for case-insensitive servers
+   */
+  setCaseSensitive(caseSensitive) {
+    if (this.caseSensitive !== caseSensitive) {
+      this.caseSensitive = caseSensitive;
+      this.clearCache();
+    }
+  },
+
+  /**
+   * Split a pattern into literal characters and wildcard tokens
+   * @param {string} pattern - Depot path pattern
+   * @returns {Array<{type: string, value?: string}>} Tokens of type "char", "star" or "dots"
+   */
+  tokenize(pattern) {
+    if (this._tokenCache.has(pattern)) {
+      return this._tokenCache.get(pattern);
+    }
+
+    const tokens = [];
+    let i = 0;
+    while (i < pattern.length) {
+      if (pattern.startsWith("...", i)) {
+        i += 3;
+        // Consecutive wildcards collapse into the broadest one
+        const last = tokens[tokens.length - 1];
+        if (last && last.type === "star") {
+          last.type = "dots";
+        } else if (!last || last.type !== "dots") {
+          tokens.push({ type: "dots" });
+        }
+      } else if (pattern[i] === "*" || /^%%[1-9]/.test(pattern.substring(i))) {
+        i += pattern[i] === "*" ? 1 : 3;
+        const last = tokens[tokens.length - 1];
+        if (!last || (last.type !== "star" && last.type !== "dots")) {
+          tokens.push({ type: "star" });
+        }
+      } else {
+        tokens.push({
+          type: "char",
+          value: this.caseSensitive ? pattern[i] : pattern[i].toLowerCase(),
+        });
+        i++;
+      }
+    }
+
+    this._tokenCache.set(pattern, tokens);
+    return tokens;
+  },
+
+  /**
+   * Convert a pattern into an anchored regular expression
+   * @param {string} pattern - Depot path pattern
+   * @returns {RegExp} Regular expression matching the same paths
+   */
+  toRegExp(pattern) {
+    if (this._regexCache.has(pattern)) {
+      return this._regexCache.get(pattern);
+    }
+
+    const source = this.tokenize(pattern)
+      .map((token) => {
+        if (token.type === "dots") return ".*";
+        if (token.type === "star") return "[^/]*";
+        return token.value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      })
+      .join("");
+
+    const regex = new RegExp(`^${source}$`, this.caseSensitive ? "" : "i");
+    this._regexCache.set(pattern, regex);
+    return regex;
+  },
+
+  /**
+   * Check whether a depot path is matched by a pattern
+   * @param {string} pattern - Depot path pattern
+   * @param {string} path - Depot path to test
+   * @returns {boolean} True if the pattern matches the path
+   */
+  matches(pattern, path) {
+    return this.toRegExp(pattern).test(path);
+  },
+
+  /**
+   * Find a path matched by both patterns
+   * @param {string} pattern1 - First depot path pattern
+   * @param {string} pattern2 - Second depot path pattern
+   * @returns {string|null} Example path matched by both, or null if they are disjoint
+   */
+  intersect(pattern1, pattern2) {
+    if (this._quickDisjoint(pattern1, pattern2)) return null;
+    return this._search([pattern1, pattern2], 2, (accepting) =>
+      accepting.every(Boolean)
+    );
+  },
+
+  /**
+   * Find a path matched by a pattern but by none of the covering patterns
+   * @param {string} pattern - Depot path pattern to check
+   * @param {string[]} coverPatterns - Patterns that may cover it
+   * @returns {string|null} Example uncovered path, or null if fully covered
+   */
+  findUncovered(pattern, coverPatterns) {
+    // Patterns that cannot overlap only make the search larger
+    const relevant = coverPatterns.filter(
+      (cover) => !this._quickDisjoint(pattern, cover)
+    );
+    return this._search([pattern, ...relevant], 1, (accepting) =>
+      accepting.every((isAccepting, index) =>
+        index === 0 ? isAccepting : !isAccepting
+      )
+    );
+  },
+
+  /**
+   * Check whether every path matched by the inner pattern is also matched by the outer one
+   * @param {string} outer - Broader depot path pattern
+   * @param {string} inner - Narrower depot path pattern
+   * @returns {boolean} True if outer contains inner
+   */
+  contains(outer, inner) {
+    return this.findUncovered(inner, [outer]) === null;
+  },
+
+  /**
+   * Compare two patterns
+   * The relation is described from the point of view of the first pattern:
+   * "contained" means every path it matches is also matched by the second one.
+   * @param {string} pattern1 - First depot path pattern
+   * @param {string} pattern2 - Second depot path pattern
+   * @returns {{relation: string, example: string|null}} Relation is one of
+   *   "equal", "contains", "contained", "intersects" or "disjoint"
+   */
+  compare(pattern1, pattern2) {
+    const cacheKey = `${pattern1}\u0000${pattern2}`;
+    if (this._compareCache.has(cacheKey)) {
+      return this._compareCache.get(cacheKey);
+    }
+
+    let result;
+    const reverse = this._compareCache.get(`${pattern2}\u0000${pattern1}`);
+    const example = reverse
+      ? reverse.example
+      : this.intersect(pattern1, pattern2);
+    if (example === null) {
+      result = { relation: "disjoint", example: null };
+    } else {
+      const firstInSecond = this.contains(pattern2, pattern1);
+      const secondInFirst = this.contains(pattern1, pattern2);
+
+      let relation = "intersects";
+      if (firstInSecond && secondInFirst) {
+        relation = "equal";
+      } else if (firstInSecond) {
+        relation = "contained";
+      } else if (secondInFirst) {
+        relation = "contains";
+      }
+      result = { relation, example };
+    }
+
+    this._compareCache.set(cacheKey, result);
+    return result;
+  },
+
+  /**
+   * Cheap check that rules out most unrelated pattern pairs
+   * Every path starts with each pattern's literal prefix and ends with its
+   * literal suffix, so the prefixes (and the suffixes) must agree as far as
+   * the shorter one goes.
+   * @param {string} pattern1 - First depot path pattern
+   * @param {string} pattern2 - Second depot path pattern
+   * @returns {boolean} True if no path can match both patterns
+   */
+  _quickDisjoint(pattern1, pattern2) {
+    const [prefix1, suffix1] = this._literalEnds(pattern1);
+    const [prefix2, suffix2] = this._literalEnds(pattern2);
+    return (
+      !(prefix1.startsWith(prefix2) || prefix2.startsWith(prefix1)) ||
+      !(suffix1.endsWith(suffix2) || suffix2.endsWith(suffix1))
+    );
+  },
+
+  _literalEnds(pattern) {
+    const tokens = this.tokenize(pattern);
+    const literal = (list) => {
+      const end = list.findIndex((token) => token.type !== "char");
+      return (end === -1 ? list : list.slice(0, end))
+        .map((token) => token.value)
+        .join("");
+    };
+    const prefix = literal(tokens);
+    const suffix = [...literal([...tokens].reverse())].reverse().join("");
+    return [prefix, suffix];
+  },
+
+  /**
+   * Drop all cached compilations and comparisons
+   */
+  clearCache() {
+    this._tokenCache.clear();
+    this._regexCache.clear();
+    this._compareCache.clear();
+  },
+
+  /**
+   * Breadth-first search over the product of the patterns' automata
+   * Only well-formed depot paths are considered: no empty directory names
+   * and no trailing slash. So examples read like real file names, the first
+   * attempts require wildcards in the patterns the example is drawn from to
+   * match at least one character and avoid names starting with a dot, falling
+   * back to the shortest path under normal semantics.
+   * @param {string[]} patterns - Patterns to run in parallel
+   * @param {number} strictCount - How many leading patterns the example is drawn from
+   * @param {Function} isGoal - Receives one accepting flag per pattern
+   * @returns {string|null} Shortest path reaching a goal state, or null
+   */
+  _search(patterns, strictCount, isGoal) {
+    const automata = patterns.map((pattern) => this.tokenize(pattern));
+    const alphabet = this._alphabet(automata);
+
+    const strictModes = automata.map((_, index) => index < strictCount);
+    const normalModes = automata.map(() => false);
+
+    // Most comparisons find nothing, so settle that with a single pass first
+    const found = this._bfs(automata, alphabet, isGoal, normalModes, false);
+    if (found === null) return null;
+
+    return (
+      this._bfs(automata, alphabet, isGoal, strictModes, true) ||
+      this._bfs(automata, alphabet, isGoal, strictModes, false) ||
+      found
+    );
+  },
+
+  _bfs(automata, alphabet, isGoal, modes, tidy) {
+    const start = automata.map((tokens, index) =>
+      this._closure(tokens, [0], modes[index])
+    );
+
+    const key = (states, path) =>
+      states.map((set) => set.join(",")).join("|") +
+      (path.endsWith("/") ? "/" : "");
+    const visited = new Set([key(start, "")]);
+    const queue = [{ states: start, path: "" }];
+
+    while (queue.length > 0) {
+      const { states, path } = queue.shift();
+
+      const accepting = states.map((set, index) =>
+        set.includes(automata[index].length)
+      );
+      if (!path.endsWith("/") && isGoal(accepting)) {
+        return path;
+      }
+
+      for (const symbol of alphabet) {
+        if (symbol === "/" && path.length >= 2 && path.endsWith("/")) continue;
+        if (tidy && symbol === "." && path.endsWith("/")) continue;
+
+        const next = states.map((set, index) =>
+          this._step(automata[index], set, symbol, modes[index])
+        );
+        // The first automaton must stay alive, otherwise no example can follow
+        if (next[0].length === 0) continue;
+
+        const nextPath = path + symbol;
+        const nextKey = key(next, nextPath);
+        if (!visited.has(nextKey)) {
+          visited.add(nextKey);
+          queue.push({ states: next, path: nextPath });
+        }
+      }
+    }
+
+    return null;
+  },
+
+  _closure(tokens, states, strict) {
+    const result = new Set(states);
+    const pending = [...states];
+    while (pending.length > 0) {
+      const state = pending.pop();
+      const token = tokens[state];
+      if (!strict && token && token.type !== "char" && !result.has(state + 1)) {
+        result.add(state + 1);
+        pending.push(state + 1);
+      }
+    }
+    return [...result].sort((a, b) => a - b);
+  },
+
+  _step(tokens, states, symbol, strict) {
+    const next = [];
+    for (const state of states) {
+      const token = tokens[state];
+      if (!token) continue;
+
+      if (token.type === "char") {
+        if (token.value === symbol) next.push(state + 1);
+      } else if (token.type === "dots" || symbol !== "/") {
+        next.push(state);
+        // A strict wildcard may only be left after consuming a character
+        if (strict) next.push(state + 1);
+      }
+    }
+    return this._closure(tokens, next, strict);
+  },
+
+  // Every literal in the patterns, the separator, and one filler character
+  // standing in for "anything else" a wildcard could match
+  _alphabet(automata) {
+    const literals = new Set(["/"]);
+    automata.forEach((tokens) =>
+      tokens.forEach((token) => {
+        if (token.type === "char") literals.add(token.value);
+      })
+    );
+
+    const candidates = "abcdefghijklmnopqrstuvwxyz0123456789_";
+    const filler =
+      [...candidates].find((c) => !literals.has(c)) ||
+      String.fromCharCode(0x2022);
+
+    return [filler, ...[...literals].sort()];
+  },
+};
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = P4Wildcards;
+} else if (typeof window !== "undefined") {
+  window.P4Wildcards = P4Wildcards;
+}